@@ -0,0 +1,115 @@
+// Stand-in for the class backend so checkout can be tested locally.
+// Serves the json files in src/public/json with the same routes and
+// response shapes as the real API:
+//   GET  /products/search/:category
+//   GET  /product/:id
+//   POST /checkout/
+// Start it with `npm run server` and point VITE_SERVER_URL at it.
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import validateOrder from "./validateOrder.mjs";
+import { categories, normalizeProduct } from "../src/js/catalog.mjs";
+
+const port = process.env.PORT || 3000;
+const jsonDir = fileURLToPath(new URL("../src/public/json/", import.meta.url));
+
+async function loadCategory(category) {
+  if (!categories.includes(category)) {
+    return [];
+  }
+  try {
+    const data = JSON.parse(await readFile(jsonDir + `${category}.json`));
+    const products = Array.isArray(data) ? data : data.Result;
+    return products.map(normalizeProduct);
+  } catch (err) {
+    // no file for this category yet
+    return [];
+  }
+}
+
+async function loadCatalog() {
+  const lists = await Promise.all(categories.map(loadCategory));
+  return new Map(
+    lists.flat().map((product) => [product.Id.toUpperCase(), product])
+  );
+}
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function checkout(req, res) {
+  let order;
+  try {
+    order = JSON.parse(await readBody(req));
+  } catch (err) {
+    return send(res, 400, { order: "Order must be valid JSON" });
+  }
+  const errors = validateOrder(order, await loadCatalog());
+  if (Object.keys(errors).length > 0) {
+    return send(res, 400, errors);
+  }
+  send(res, 200, {
+    orderId: `${Date.now()}`,
+    message: "Order Placed",
+    orderTotal: order.orderTotal,
+  });
+}
+
+async function handleRequest(req, res) {
+  // the json POST from the store is preflighted by the browser
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    return res.end();
+  }
+
+  const path = new URL(req.url, "http://localhost").pathname;
+  const parts = path.split("/").filter(Boolean);
+
+  if (
+    req.method === "GET" &&
+    parts[0] === "products" &&
+    parts[1] === "search"
+  ) {
+    return send(res, 200, { Result: await loadCategory(parts[2]) });
+  }
+  if (req.method === "GET" && parts[0] === "product" && parts[1]) {
+    const catalog = await loadCatalog();
+    const product = catalog.get(parts[1].toUpperCase());
+    if (!product) {
+      return send(res, 404, { id: `No product found with id ${parts[1]}` });
+    }
+    return send(res, 200, { Result: product });
+  }
+  if (req.method === "POST" && parts[0] === "checkout") {
+    return checkout(req, res);
+  }
+  send(res, 404, { path: `${req.method} ${path} not found` });
+}
+
+createServer((req, res) => {
+  handleRequest(req, res).catch((err) => {
+    console.error(err);
+    send(res, 500, { server: "Something went wrong on the server" });
+  });
+}).listen(port, () => {
+  console.log(`SleepOutside test server on http://localhost:${port}/`);
+});
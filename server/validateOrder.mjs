@@ -0,0 +1,144 @@
+import { toCents } from "../src/js/money.mjs";
+import { evaluateCoupon } from "../src/js/coupons.mjs";
+
+// checks an order the same way the class backend does. Returns an object of
+// field -> message for every problem found, empty when the order is good.
+
+const requiredFields = {
+  fname: "First name is required",
+  lname: "Last name is required",
+  street: "Street is required",
+  city: "City is required",
+  state: "State is required",
+  zip: "Zip is required",
+  cardNumber: "Card number is required",
+  expiration: "Expiration is required",
+  code: "Security code is required",
+};
+
+// money fields that have to be numbers when they are sent at all, orderTotal
+// is always needed
+const amountFields = {
+  orderTotal: "Order total must be a number",
+  tax: "Tax must be a number",
+  shipping: "Shipping must be a number",
+  discount: "Discount must be a number",
+};
+
+// expiration comes in as MM/YY and is good through the end of that month
+function isExpired(expiration, today = new Date()) {
+  const [month, year] = expiration.split("/").map((part) => parseInt(part));
+  const endOfMonth = new Date(2000 + year, month, 1);
+  return endOfMonth <= today;
+}
+
+function validateItems(items, catalog) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return "There are no items in this order";
+  }
+  for (const item of items) {
+    if (typeof item !== "object" || item === null || Array.isArray(item)) {
+      return "Every item in the order must be an object";
+    }
+    const product = catalog.get(String(item.id).toUpperCase());
+    if (!product) {
+      return `${item.name || item.id} is not a product we carry`;
+    }
+    if (!(parseInt(item.quantity) > 0)) {
+      return `Invalid quantity for ${product.Name}`;
+    }
+    if (toCents(item.price) !== toCents(product.FinalPrice)) {
+      return `The price of ${product.Name} has changed`;
+    }
+  }
+}
+
+// work the coupon out again from our own prices rather than trusting the
+// discount the client sent. Returns the discount in cents.
+function validateDiscount(order, catalog, subtotal, errors) {
+  let discount = 0;
+  if (order.couponCode) {
+    const items = order.items.map((item) => ({
+      ...catalog.get(String(item.id).toUpperCase()),
+      quantity: parseInt(item.quantity),
+    }));
+    const result = evaluateCoupon(order.couponCode, items, subtotal);
+    if (result.error) {
+      errors.couponCode = result.error;
+      return 0;
+    }
+    discount = result.discount;
+  }
+  if (toCents(order.discount || 0) !== discount) {
+    errors.discount = "Discount does not match the coupon on the order";
+  }
+  return discount;
+}
+
+// catalog is a Map of upper case product id -> product
+export default function validateOrder(order, catalog) {
+  // valid json can still be null, a number or a string
+  if (typeof order !== "object" || order === null || Array.isArray(order)) {
+    return { order: "Order must be a JSON object" };
+  }
+  const errors = {};
+
+  Object.entries(requiredFields).forEach(([field, message]) => {
+    if (!order[field] || !String(order[field]).trim()) {
+      errors[field] = message;
+    }
+  });
+
+  const cardNumber = String(order.cardNumber || "").replace(/\s/g, "");
+  if (!errors.cardNumber && !/^\d{16}$/.test(cardNumber)) {
+    errors.cardNumber = "Invalid Card Number";
+  }
+
+  const expiration = String(order.expiration || "");
+  if (!errors.expiration) {
+    if (!/^(0[1-9]|1[0-2])\/\d{2}$/.test(expiration)) {
+      errors.expiration = "Invalid expiration, use MM/YY";
+    } else if (isExpired(expiration)) {
+      errors.expiration = "Card is expired";
+    }
+  }
+
+  if (!errors.code && !/^\d{3,4}$/.test(order.code)) {
+    errors.code = "Invalid Security Code";
+  }
+
+  // toCents("abc") is NaN and NaN never compares as too far off
+  const badAmounts = Object.keys(amountFields).filter((field) => {
+    const missing = order[field] === undefined || order[field] === null;
+    if (missing) return field === "orderTotal";
+    return !Number.isFinite(Number(order[field]));
+  });
+  badAmounts.forEach((field) => {
+    errors[field] = amountFields[field];
+  });
+
+  const itemError = validateItems(order.items, catalog);
+  if (itemError) {
+    errors.items = itemError;
+  } else if (badAmounts.length === 0) {
+    const subtotal = order.items.reduce(
+      (sum, item) => sum + toCents(item.price) * parseInt(item.quantity),
+      0
+    );
+    const discount = validateDiscount(order, catalog, subtotal, errors);
+    if (toCents(order.tax || 0) < 0 || toCents(order.shipping || 0) < 0) {
+      errors.orderTotal = "Tax and shipping can't be negative";
+    }
+    const expected =
+      subtotal -
+      discount +
+      toCents(order.tax || 0) +
+      toCents(order.shipping || 0);
+    // allow a cent either way for rounding differences on the client
+    if (Math.abs(toCents(order.orderTotal) - expected) > 1) {
+      errors.orderTotal = "Order total does not match the items in the order";
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,45 @@
+import { getCartItems, getCartCount } from "./cartStorage.mjs";
+
+// the item count on the cart icon in the header
+export default class CartBadge {
+  constructor(cartElement, key = "so-cart") {
+    this.cartElement = cartElement;
+    this.key = key;
+    this.count = 0;
+  }
+  init() {
+    this.badge = document.createElement("span");
+    this.badge.classList.add("cart__count");
+    this.badge.addEventListener("animationend", () =>
+      this.badge.classList.remove("cart__count--added")
+    );
+    this.cartElement.appendChild(this.badge);
+    // no bounce for what was already in the cart when the page loaded
+    this.count = getCartCount(getCartItems(this.key));
+    this.render();
+
+    window.addEventListener("cartchange", (event) => {
+      if (event.detail.key === this.key) this.render();
+    });
+    // the cart was changed in another tab
+    window.addEventListener("storage", (event) => {
+      if (event.key === this.key) this.render();
+    });
+  }
+  render() {
+    const count = getCartCount(getCartItems(this.key));
+    // bounce the badge when something was added
+    if (count > this.count) {
+      this.badge.classList.add("cart__count--added");
+    }
+    this.count = count;
+    this.badge.textContent = count;
+    this.badge.classList.toggle("hide", count === 0);
+    this.cartElement
+      .querySelector("a")
+      .setAttribute(
+        "aria-label",
+        `Cart, ${count} item${count === 1 ? "" : "s"}`
+      );
+  }
+}
@@ -1,12 +1,30 @@
-import {
-  setLocalStorage,
-  getLocalStorage,
-  alertMessage,
-  removeAllAlerts,
-} from "./utils.mjs";
+import { html } from "./utils.mjs";
+import { showToast, clearToasts } from "./toasts.mjs";
 import ExternalServices from "./ExternalServices.mjs";
+import {
+  loadCartItems,
+  setCartItems,
+  getCartCount,
+  getCartSubtotal,
+  getCartSavings,
+} from "./cartStorage.mjs";
+import { getTaxRate, getShippingCost } from "./checkoutRules.mjs";
+import { toDollars, applyRate, formatCents } from "./money.mjs";
+import { evaluateCoupon } from "./coupons.mjs";
+import { saveOrder } from "./orderStorage.mjs";
+import {
+  usStates,
+  checkoutFields,
+  validateField,
+  validateCheckout,
+  cleanCardNumber,
+  cleanExpiration,
+} from "./checkoutValidation.mjs";
+import { errorTemplate, getErrorMessage } from "./pageStates.mjs";
 
 const services = new ExternalServices();
+// what the server calls a bad coupon or a discount it doesn't agree with
+const couponFields = ["couponCode", "discount"];
 function formDataToJSON(formElement) {
   const formData = new FormData(formElement),
     convertedJSON = {};
@@ -19,31 +37,141 @@ function formDataToJSON(formElement) {
 }
 
 function packageItems(items) {
-  const simplifiedItems = items.map((item) => {
-    console.log(item);
-    return {
-      id: item.Id,
-      price: item.FinalPrice,
-      name: item.Name,
-      quantity: 1,
-    };
-  });
+  const simplifiedItems = items.map((item) => ({
+    id: item.Id,
+    price: item.FinalPrice,
+    name: item.Name,
+    quantity: item.quantity,
+    color: item.color ? item.color.ColorName : item.Colors[0].ColorName,
+    size: item.size || {},
+  }));
   return simplifiedItems;
 }
 
+function stateOptionTemplate([code, name]) {
+  return html`<option value="${code}">${name}</option>`;
+}
+
 export default class CheckoutProcess {
   constructor(key, outputSelector) {
     this.key = key;
     this.outputSelector = outputSelector;
     this.list = [];
+    // the totals are all in cents
     this.itemTotal = 0;
     this.shipping = 0;
     this.tax = 0;
     this.orderTotal = 0;
+    this.shippingMethod = "standard";
+    this.state = "";
+    this.couponCode = "";
+    this.coupon = null;
+    this.discount = 0;
+    this.submitting = false;
+    // false until the cart has been priced
+    this.loaded = false;
+  }
+  async init() {
+    // tax depends on the state and shipping on the method, so keep the
+    // totals up to date as the customer fills in the form
+    const formElement = document.forms["checkout"];
+    if (formElement) {
+      if (formElement.state.tagName === "SELECT") {
+        formElement.state.insertAdjacentHTML(
+          "beforeend",
+          html`${Object.entries(usStates).map(stateOptionTemplate)}`
+        );
+      }
+      formElement.addEventListener("change", (event) => {
+        const name = event.target.name;
+        if (["zip", "state", "shippingMethod"].includes(name)) {
+          this.calculateOrdertotal();
+        }
+        // check each field as the customer leaves it
+        if (checkoutFields.includes(name)) {
+          this.showFieldError(name, validateField(name, event.target.value));
+        }
+      });
+    }
+    const applyButton = document.getElementById("applyCoupon");
+    if (applyButton) {
+      applyButton.addEventListener("click", () =>
+        this.applyCoupon(formElement.coupon.value)
+      );
+      // enter in the coupon box applies the code instead of placing the order
+      formElement.coupon.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") {
+          event.preventDefault();
+          this.applyCoupon(formElement.coupon.value);
+        }
+      });
+    }
+    // the cart was changed in another tab
+    window.addEventListener("storage", (event) => {
+      if (event.key === this.key) this.loadSummary();
+    });
+    await this.loadSummary();
   }
-  init() {
-    this.list = getLocalStorage(this.key);
+  async loadSummary() {
+    // the cart only stores ids and quantities, get the current prices
+    try {
+      const { items, notices } = await loadCartItems(services, this.key);
+      this.list = items;
+      notices.forEach((message) => showToast(message, { type: "warning" }));
+    } catch (err) {
+      this.loaded = false;
+      this.showSummaryError(err);
+      return;
+    }
+    this.loaded = true;
+    this.showSummaryError(null);
     this.calculateItemSummary();
+    this.calculateOrdertotal();
+  }
+  // the totals can't be worked out without prices, put a message with a
+  // retry button at the top of the summary. Pass null to take it away.
+  showSummaryError(err) {
+    const summary = document.querySelector(this.outputSelector);
+    let state = summary.querySelector(".checkout-summary__state");
+    if (!err) {
+      if (state) state.remove();
+      return;
+    }
+    if (!state) {
+      state = document.createElement("div");
+      state.className = "checkout-summary__state";
+      state.addEventListener("click", (event) => {
+        if (event.target.closest(".page-state__retry")) this.loadSummary();
+      });
+      summary.prepend(state);
+    }
+    state.innerHTML = errorTemplate(getErrorMessage(err));
+  }
+  applyCoupon(code) {
+    this.couponCode = code.trim();
+    this.calculateOrdertotal();
+  }
+  // work out the coupon discount again, the cart or shipping method may
+  // have changed since it was applied
+  calculateDiscount() {
+    this.coupon = null;
+    this.discount = 0;
+    const messageElement = document.getElementById("couponMessage");
+    if (!this.couponCode) {
+      if (messageElement) messageElement.innerText = "";
+      return false;
+    }
+    const result = evaluateCoupon(this.couponCode, this.list, this.itemTotal);
+    if (result.error) {
+      if (messageElement) messageElement.innerText = result.error;
+      return false;
+    }
+    this.coupon = result.coupon;
+    this.discount = result.discount;
+    if (messageElement) {
+      messageElement.innerText = `${result.coupon.code} applied`;
+    }
+    return result.freeShipping;
   }
   calculateItemSummary() {
     const summaryElement = document.querySelector(
@@ -52,20 +180,46 @@ export default class CheckoutProcess {
     const itemNumElement = document.querySelector(
       this.outputSelector + " #num-items"
     );
-    itemNumElement.innerText = this.list.length;
+    itemNumElement.innerText = getCartCount(this.list);
     // calculate the total of all the items in the cart
-    const amounts = this.list.map((item) => item.FinalPrice);
-    this.itemTotal = amounts.reduce((sum, item) => sum + item);
-    summaryElement.innerText = "$" + this.itemTotal;
+    this.itemTotal = getCartSubtotal(this.list);
+    summaryElement.innerText = formatCents(this.itemTotal);
+    const savingsElement = document.querySelector(
+      this.outputSelector + " #savings"
+    );
+    if (savingsElement) {
+      const savings = getCartSavings(this.list);
+      savingsElement.innerText = formatCents(savings);
+      savingsElement.parentElement.classList.toggle("hide", savings === 0);
+    }
+  }
+  // read the state and shipping method off the checkout form
+  readOrderOptions() {
+    const formElement = document.forms["checkout"];
+    if (!formElement) return;
+    this.state = formElement.state ? formElement.state.value : "";
+    const method = formElement.querySelector(
+      "input[name='shippingMethod']:checked"
+    );
+    this.shippingMethod = method ? method.value : "standard";
   }
   calculateOrdertotal() {
-    this.shipping = 10 + (this.list.length - 1) * 2;
-    this.tax = (this.itemTotal * 0.06).toFixed(2);
-    this.orderTotal = (
-      parseFloat(this.itemTotal) +
-      parseFloat(this.shipping) +
-      parseFloat(this.tax)
-    ).toFixed(2);
+    this.readOrderOptions();
+    const freeShipping = this.calculateDiscount();
+    // the rates live in checkoutRules.mjs
+    this.shipping = freeShipping
+      ? 0
+      : getShippingCost(
+          this.shippingMethod,
+          getCartCount(this.list),
+          this.itemTotal
+        );
+    // tax is charged on what the customer pays for the items
+    this.tax = applyRate(
+      this.itemTotal - this.discount,
+      getTaxRate(this.state)
+    );
+    this.orderTotal = this.itemTotal - this.discount + this.shipping + this.tax;
     this.displayOrderTotals();
   }
   displayOrderTotals() {
@@ -74,34 +228,170 @@ export default class CheckoutProcess {
     const orderTotal = document.querySelector(
       this.outputSelector + " #orderTotal"
     );
-    shipping.innerText = "$" + this.shipping;
-    tax.innerText = "$" + this.tax;
-    orderTotal.innerText = "$" + this.orderTotal;
+    shipping.innerText =
+      this.shipping === 0 ? "FREE" : formatCents(this.shipping);
+    tax.innerText = formatCents(this.tax);
+    orderTotal.innerText = formatCents(this.orderTotal);
+    const discount = document.querySelector(this.outputSelector + " #discount");
+    if (discount) {
+      discount.innerText = "-" + formatCents(this.discount);
+      discount.parentElement.classList.toggle("hide", this.discount === 0);
+    }
+  }
+  // shows the message under a field, or clears it when message is empty.
+  // the input points at its message with aria-describedby so screen readers
+  // read it out along with the label
+  showFieldError(name, message) {
+    const formElement = document.forms["checkout"];
+    const input = formElement.elements[name];
+    if (!input || !input.id) return false;
+    const errorId = `${input.id}-error`;
+    let errorElement = document.getElementById(errorId);
+    if (!errorElement) {
+      errorElement = document.createElement("p");
+      errorElement.id = errorId;
+      errorElement.className = "field-error";
+      input.insertAdjacentElement("afterend", errorElement);
+      input.setAttribute("aria-describedby", errorId);
+    }
+    errorElement.innerText = message || "";
+    if (message) {
+      input.setAttribute("aria-invalid", "true");
+    } else {
+      input.removeAttribute("aria-invalid");
+    }
+    return true;
+  }
+  // shows a field -> message object next to the fields and focuses the first
+  // one with a problem. Coupon problems from the server go under the coupon
+  // box. Returns the messages that don't belong anywhere.
+  showErrors(errors) {
+    const formElement = document.forms["checkout"];
+    const leftover = [];
+    checkoutFields.forEach((name) => this.showFieldError(name, errors[name]));
+    const couponError = couponFields.map((name) => errors[name]).find(Boolean);
+    const messageElement = document.getElementById("couponMessage");
+    if (couponError && messageElement) {
+      messageElement.innerText = couponError;
+    }
+    Object.entries(errors).forEach(([name, message]) => {
+      if (checkoutFields.includes(name)) return;
+      if (couponFields.includes(name) && messageElement) return;
+      leftover.push(message);
+    });
+    const firstInvalid = formElement.querySelector("[aria-invalid='true']");
+    if (firstInvalid) {
+      firstInvalid.focus();
+    } else if (couponError && formElement.elements.coupon) {
+      formElement.elements.coupon.focus();
+    }
+    return leftover;
+  }
+  validateForm() {
+    const errors = validateCheckout(formDataToJSON(document.forms["checkout"]));
+    this.showErrors(errors);
+    return Object.keys(errors).length === 0;
+  }
+  // keep a copy of a placed order for the receipt and order history, with
+  // the amounts in dollars like the order sent to the server
+  saveOrder(res, json) {
+    return saveOrder({
+      id: String(res.orderId || Date.now()),
+      date: json.orderDate,
+      items: this.list,
+      itemTotal: toDollars(this.itemTotal),
+      couponCode: json.couponCode,
+      discount: json.discount,
+      shippingMethod: this.shippingMethod,
+      shipping: json.shipping,
+      tax: json.tax,
+      orderTotal: json.orderTotal,
+      address: {
+        fname: json.fname,
+        lname: json.lname,
+        street: json.street,
+        city: json.city,
+        state: json.state,
+        zip: json.zip,
+      },
+    });
+  }
+  // disable the submit button while the order is being sent so it can't
+  // be placed twice
+  setSubmitting(submitting) {
+    this.submitting = submitting;
+    const button = document.getElementById("checkoutSubmit");
+    if (!button) return;
+    if (!button.dataset.label) button.dataset.label = button.innerText;
+    button.disabled = submitting;
+    button.innerText = submitting ? "Placing order..." : button.dataset.label;
+    button.setAttribute("aria-busy", submitting);
   }
   async checkout() {
+    if (this.submitting) return;
     const formElement = document.forms["checkout"];
+    clearToasts();
+    if (!this.loaded) {
+      showToast(
+        "We couldn't load the prices for your cart. Try again once the order summary has loaded.",
+        { type: "error" }
+      );
+      return;
+    }
+    if (this.list.length === 0) {
+      showToast("Your cart is empty, add something before checking out.", {
+        type: "warning",
+      });
+      return;
+    }
+    if (!this.validateForm()) return;
 
     const json = formDataToJSON(formElement);
-    // add totals, and item details
+    // add totals, and item details. The server takes dollars.
     json.orderDate = new Date();
-    json.orderTotal = this.orderTotal;
-    json.tax = this.tax;
-    json.shipping = this.shipping;
+    json.orderTotal = toDollars(this.orderTotal);
+    json.tax = toDollars(this.tax);
+    json.shipping = toDollars(this.shipping);
+    json.couponCode = this.coupon ? this.coupon.code : "";
+    json.discount = toDollars(this.discount);
+    delete json.coupon;
+    json.cardNumber = cleanCardNumber(json.cardNumber);
+    json.expiration = cleanExpiration(json.expiration);
     json.items = packageItems(this.list);
-    console.log(json);
+    this.setSubmitting(true);
     try {
       const res = await services.checkout(json);
-      console.log(res);
-      setLocalStorage("so-cart", []);
-      location.assign("/checkout/success.html");
+      const order = this.saveOrder(res, json);
+      setCartItems([], this.key);
+      location.assign(
+        `/checkout/success.html?order=${encodeURIComponent(order.id)}`
+      );
     } catch (err) {
       // get rid of any preexisting alerts.
-      removeAllAlerts();
-      for (let message in err.message) {
-        alertMessage(err.message[message]);
+      clearToasts();
+      // the server sends back field -> message, put those next to the
+      // matching inputs and alert anything else
+      let leftover = ["Sorry, we couldn't place your order. Please try again."];
+      if (err.name === "servicesError" && typeof err.message === "object") {
+        leftover = this.showErrors(err.message);
+      } else if (err.timedOut) {
+        // the order may have gone through after we stopped waiting, placing
+        // it again could charge the customer twice
+        leftover = [];
+        showToast(
+          `${err.message}, so we don't know if your order was placed. Check your order history before trying again.`,
+          {
+            type: "error",
+            action: { label: "Order history", href: "/orders/index.html" },
+          }
+        );
+      } else if (err.name === "networkError") {
+        leftover = [
+          `${err.message}, your order was not placed. Please try again.`,
+        ];
       }
-
-      console.log(err);
+      leftover.forEach((message) => showToast(message, { type: "error" }));
+      this.setSubmitting(false);
     }
   }
-}
\ No newline at end of file
+}
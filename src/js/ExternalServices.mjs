@@ -1,29 +1,233 @@
-const baseURL = "http://server-nodejs.cit.byui.edu:3000/";
+import { categories, getLocalCategory, findLocalProduct } from "./catalog.mjs";
+
+// VITE_DATA_SOURCE=local serves everything from the json files in public/json
+// so the store works without a network. Anything else uses the remote API.
+const dataSource = import.meta.env.VITE_DATA_SOURCE || "remote";
+const baseURL =
+  import.meta.env.VITE_SERVER_URL || "http://server-nodejs.cit.byui.edu:3000/";
+// every category the store carries
+export { categories };
+
+// how long a request can take before we give up on it
+const requestTimeout = 8000;
+// GET requests that fail with a 5xx or never reach the server are tried
+// again after these delays
+const retryDelays = [500, 1500];
+// cached responses are used as they are for cacheTTL. After that they are
+// still shown right away while a fresh copy loads in the background, until
+// they are cacheMaxAge old.
+const cacheTTL = 5 * 60 * 1000;
+const cacheMaxAge = 24 * 60 * 60 * 1000;
+const cachePrefix = "so-cache:";
+
+// GET requests already on their way, by url, so several callers asking for
+// the same thing share one request
+const inFlight = new Map();
+
 async function convertToJson(res) {
-  const data = await res.json();
+  // a proxy in front of a struggling server may answer with an html page
+  const data = await res.json().catch(() => res.statusText);
   if (res.ok) {
     return data;
   } else {
-    throw { name: "servicesError", message: data };
+    throw { name: "servicesError", message: data, status: res.status };
+  }
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// fetch that gives up after requestTimeout. Network failures and timeouts
+// are thrown as a networkError, so they can't be mistaken for an answer
+// from the server. timedOut is set when the request went out but the answer
+// never came, the server may still have acted on it.
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), requestTimeout);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    const timedOut = err.name === "AbortError";
+    throw {
+      name: "networkError",
+      message: timedOut
+        ? "The server took too long to answer"
+        : "Could not reach the server",
+      timedOut,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isRetryable(err) {
+  return err.name === "networkError" || err.status >= 500;
+}
+
+async function getJsonWithRetries(url) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchWithTimeout(url).then(convertToJson);
+    } catch (err) {
+      if (attempt >= retryDelays.length || !isRetryable(err)) throw err;
+      await wait(retryDelays[attempt]);
+    }
   }
 }
 
+function getJson(url) {
+  if (!inFlight.has(url)) {
+    inFlight.set(
+      url,
+      getJsonWithRetries(url).finally(() => inFlight.delete(url))
+    );
+  }
+  return inFlight.get(url);
+}
+
+function readCache(url) {
+  try {
+    return JSON.parse(localStorage.getItem(cachePrefix + url));
+  } catch {
+    return null;
+  }
+}
+
+// drop entries too old to be shown, otherwise every product ever looked at
+// stays in localStorage. Done once per page, on the first cached request.
+let cachePruned = false;
+function pruneCache() {
+  cachePruned = true;
+  try {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(cachePrefix))
+      .forEach((key) => {
+        const entry = JSON.parse(localStorage.getItem(key));
+        if (!entry || !(Date.now() - entry.time < cacheMaxAge)) {
+          localStorage.removeItem(key);
+        }
+      });
+  } catch {
+    // storage is turned off, there is nothing to prune
+  }
+}
+
+function writeCache(url, data) {
+  try {
+    localStorage.setItem(
+      cachePrefix + url,
+      JSON.stringify({ time: Date.now(), data })
+    );
+  } catch {
+    // storage is full or turned off, we just won't cache this one
+  }
+}
+
+function fetchAndCache(url) {
+  return getJson(url).then((data) => {
+    writeCache(url, data);
+    return data;
+  });
+}
+
+// stale-while-revalidate: answer from the cache when we can and refresh it
+// in the background once it's past its TTL
+async function cachedGet(url) {
+  if (!cachePruned) pruneCache();
+  const entry = readCache(url);
+  const age = entry ? Date.now() - entry.time : Infinity;
+  if (age < cacheTTL) {
+    return entry.data;
+  }
+  if (age < cacheMaxAge) {
+    // a failed refresh leaves the old copy in place for next time
+    fetchAndCache(url).catch(() => {});
+    return entry.data;
+  }
+  return fetchAndCache(url);
+}
+
+// a product matches when every search word shows up in its name, brand or
+// description (ignoring the html tags in the description)
+function matchesSearch(product, terms) {
+  const text = [
+    product.Name,
+    product.Brand.Name,
+    (product.DescriptionHtmlSimple || "").replace(/<[^>]*>/g, " "),
+  ]
+    .join(" ")
+    .toLowerCase();
+  return terms.every((term) => text.includes(term));
+}
+
+export function getSearchTerms(query) {
+  return (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// there is nowhere to send an order when working offline, so accept it and
+// answer the way the checkout endpoint does
+function localCheckout(payload) {
+  return {
+    orderId: `LOCAL-${Date.now()}`,
+    message: "Order Placed",
+    orderTotal: payload.orderTotal,
+  };
+}
+
 export default class ExternalServices {
-  constructor(category) {
-    // this.category = category;
-    // this.path = `../json/${this.category}.json`;
+  constructor(source = dataSource) {
+    this.source = source;
   }
   async getData(category) {
-    const response = await fetch(baseURL + `products/search/${category}`);
-    const data = await convertToJson(response);
+    const data =
+      this.source === "local"
+        ? await getLocalCategory(category)
+        : await cachedGet(baseURL + `products/search/${category}`);
     return data.Result;
   }
-  async findProductById(id) {
-    const response = await fetch(baseURL + `product/${id}`);
-    const data = await convertToJson(response);
+  // the whole catalog, loaded once per page so searching as the customer
+  // types does not hit every category endpoint on each keystroke. One
+  // category failing shouldn't break searching the rest, but then the next
+  // call tries again rather than keep the partial list. Throws the first
+  // error when no category loads at all.
+  getAllProducts() {
+    if (!this.allProducts) {
+      this.allProducts = Promise.allSettled(
+        categories.map((category) => this.getData(category))
+      ).then((results) => {
+        const failed = results.filter((result) => result.status === "rejected");
+        if (failed.length) this.allProducts = null;
+        if (failed.length === results.length) throw failed[0].reason;
+        return results.flatMap((result) => result.value || []);
+      });
+    }
+    return this.allProducts;
+  }
+  async searchProducts(query) {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+    const products = await this.getAllProducts();
+    return products.filter((product) => matchesSearch(product, terms));
+  }
+  // pass { fresh: true } to skip the cache and get the price as it is now,
+  // the cart and checkout need that. The answer still updates the cache.
+  async findProductById(id, { fresh = false } = {}) {
+    const url = baseURL + `product/${id}`;
+    let data;
+    if (this.source === "local") {
+      data = await findLocalProduct(id);
+    } else {
+      data = fresh ? await fetchAndCache(url) : await cachedGet(url);
+    }
     return data.Result;
   }
   async checkout(payload) {
+    if (this.source === "local") {
+      return localCheckout(payload);
+    }
     const options = {
       method: "POST",
       headers: {
@@ -31,6 +235,10 @@ export default class ExternalServices {
       },
       body: JSON.stringify(payload),
     };
-    return await fetch(baseURL + "checkout/", options).then(convertToJson);
+    // never retried, that could place the order twice. A timeout doesn't
+    // mean the order failed, see timedOut on the error.
+    return await fetchWithTimeout(baseURL + "checkout/", options).then(
+      convertToJson
+    );
   }
-}
\ No newline at end of file
+}
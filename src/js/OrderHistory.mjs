@@ -0,0 +1,56 @@
+import { renderListWithTemplate, html } from "./utils.mjs";
+import { showToast } from "./toasts.mjs";
+import { getCartCount } from "./cartStorage.mjs";
+import { getOrders, reorder } from "./orderStorage.mjs";
+import { formatPrice } from "./money.mjs";
+
+function orderTemplate(order) {
+  const count = getCartCount(order.items);
+  return html`<li class="order-card divider">
+    <h3 class="order-card__id">Order ${order.id}</h3>
+    <p class="order-card__date">${new Date(order.date).toLocaleDateString()}</p>
+    <p class="order-card__items">
+      ${order.items.map((item) => item.name).join(", ")}
+    </p>
+    <p class="order-card__total">
+      ${count} ${count === 1 ? "item" : "items"},
+      ${formatPrice(order.orderTotal)}
+    </p>
+    <a href="/checkout/success.html?order=${encodeURIComponent(order.id)}"
+      >View receipt</a
+    >
+    <button class="order-card__reorder" data-id="${order.id}">Buy again</button>
+  </li>`;
+}
+
+export default class OrderHistory {
+  constructor(parentSelector) {
+    this.parentSelector = parentSelector;
+  }
+  init() {
+    this.renderOrders();
+    document
+      .querySelector(this.parentSelector)
+      .addEventListener("click", this.handleClick.bind(this));
+  }
+  renderOrders() {
+    const orders = getOrders();
+    const parent = document.querySelector(this.parentSelector);
+    if (orders.length === 0) {
+      parent.innerHTML = `<li class="orders__empty">You haven't placed any orders yet.</li>`;
+      return;
+    }
+    renderListWithTemplate(orderTemplate, parent, orders, "afterbegin", true);
+  }
+  handleClick(event) {
+    const button = event.target.closest(".order-card__reorder");
+    if (!button) return;
+    const order = reorder(button.dataset.id);
+    if (order) {
+      showToast(`The items from order ${order.id} are in your cart`, {
+        type: "success",
+        action: { label: "View cart", href: "/cart/index.html" },
+      });
+    }
+  }
+}
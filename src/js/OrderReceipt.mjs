@@ -0,0 +1,81 @@
+import { html } from "./utils.mjs";
+import { getOrder } from "./orderStorage.mjs";
+import { toCents, formatCents, formatPrice } from "./money.mjs";
+
+function receiptItemTemplate(item) {
+  return html`<tr>
+    <td>
+      <a href="/product_pages/index.html?product=${item.id}">${item.name}</a>
+      <span class="receipt__variant">${item.variant}</span>
+    </td>
+    <td>${item.quantity}</td>
+    <td>${formatCents(toCents(item.price) * item.quantity)}</td>
+  </tr>`;
+}
+
+function receiptTemplate(order) {
+  const address = order.address;
+  const discountRow = order.discount
+    ? html`<tr>
+        <th colspan="2">
+          Discount${order.couponCode && ` (${order.couponCode})`}
+        </th>
+        <td>-${formatPrice(order.discount)}</td>
+      </tr>`
+    : "";
+  return html`<h3>Order ${order.id}</h3>
+    <p>Placed ${new Date(order.date).toLocaleString()}</p>
+    <table class="receipt__items">
+      <thead>
+        <tr>
+          <th>Item</th>
+          <th>Qty</th>
+          <th>Price</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${order.items.map(receiptItemTemplate)}
+      </tbody>
+      <tfoot>
+        <tr>
+          <th colspan="2">Item Subtotal</th>
+          <td>${formatPrice(order.itemTotal)}</td>
+        </tr>
+        ${discountRow}
+        <tr>
+          <th colspan="2">Shipping</th>
+          <td>${order.shipping ? formatPrice(order.shipping) : "FREE"}</td>
+        </tr>
+        <tr>
+          <th colspan="2">Tax</th>
+          <td>${formatPrice(order.tax)}</td>
+        </tr>
+        <tr class="receipt__total">
+          <th colspan="2">Order Total</th>
+          <td>${formatPrice(order.orderTotal)}</td>
+        </tr>
+      </tfoot>
+    </table>
+    <h4>Shipping to</h4>
+    <address>
+      ${address.fname} ${address.lname}<br />
+      ${address.street}<br />
+      ${address.city}, ${address.state} ${address.zip}
+    </address>`;
+}
+
+// the receipt on the checkout success page
+export default class OrderReceipt {
+  constructor(orderId, parentSelector) {
+    this.orderId = orderId;
+    this.parentSelector = parentSelector;
+  }
+  init() {
+    const order = getOrder(this.orderId);
+    // nothing saved for this id, leave the plain thank you message
+    if (!order) return;
+    const parent = document.querySelector(this.parentSelector);
+    parent.innerHTML = receiptTemplate(order);
+    parent.classList.remove("hide");
+  }
+}
@@ -0,0 +1,193 @@
+import { getDiscountPercent, getDimensionLabel, html } from "./utils.mjs";
+import { formatPrice } from "./money.mjs";
+import {
+  loadingTemplate,
+  notFoundTemplate,
+  errorTemplate,
+  isNotFound,
+  getErrorMessage,
+} from "./pageStates.mjs";
+
+export const maxCompare = 4;
+
+// the products to compare live in the query string so a comparison can be
+// bookmarked or shared: ?product=880RR&product=985PR
+export function getCompareUrl(ids) {
+  const params = new URLSearchParams();
+  ids.forEach((id) => params.append("product", id));
+  return `/product_compare/index.html?${params}`;
+}
+
+// the first couple of sentences of the description as plain text
+function getHighlights(product) {
+  const template = document.createElement("template");
+  template.innerHTML = product.DescriptionHtmlSimple || "";
+  const text = template.content.textContent.replace(/\s+/g, " ").trim();
+  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+  return sentences.slice(0, 2).join("").trim();
+}
+
+function getSizes(product) {
+  const sizes = Object.entries(product.SizesAvailable || {}).map(
+    ([dimension, values]) =>
+      `${getDimensionLabel(dimension)}: ${values.join(", ")}`
+  );
+  return sizes.join("; ") || "One size";
+}
+
+// each row of the table, value() gives the text shown for a product.
+// Rows marked with `differs` get highlighted when the products don't match.
+const compareRows = [
+  { label: "Brand", differs: true, value: (product) => product.Brand.Name },
+  {
+    label: "Price",
+    differs: true,
+    value: (product) => formatPrice(product.FinalPrice),
+  },
+  {
+    label: "Discount",
+    differs: true,
+    value: (product) => {
+      const discount = getDiscountPercent(product);
+      return discount ? `${discount}% off` : "None";
+    },
+  },
+  {
+    label: "Colors",
+    differs: true,
+    value: (product) =>
+      product.Colors.map((color) => color.ColorName).join(", "),
+  },
+  { label: "Sizes", differs: true, value: getSizes },
+  { label: "Highlights", differs: false, value: getHighlights },
+];
+
+function headerCellTemplate(product) {
+  return html`<th scope="col" class="compare__product">
+    <a href="/product_pages/index.html?product=${product.Id}">
+      <img src="${product.Images.PrimaryMedium}" alt="" />
+      <span class="card__brand">${product.Brand.Name}</span>
+      <span class="card__name">${product.NameWithoutBrand}</span>
+    </a>
+    <button
+      type="button"
+      class="compare__remove button--secondary"
+      data-id="${product.Id}"
+      aria-label="Remove ${product.NameWithoutBrand} from the comparison"
+    >
+      Remove
+    </button>
+  </th>`;
+}
+
+function rowTemplate(row, products) {
+  const values = products.map(row.value);
+  const differs = row.differs && values.some((value) => value !== values[0]);
+  return html`<tr class="compare__row ${differs && "compare__row--differs"}">
+    <th scope="row">${row.label}</th>
+    ${values.map((value) => html`<td>${value}</td>`)}
+  </tr>`;
+}
+
+function compareTemplate(products) {
+  return html`<label class="compare__only-differences">
+      <input type="checkbox" name="onlyDifferences" />
+      Only show differences
+    </label>
+    <div class="compare__scroll">
+      <table class="compare__table">
+        <thead>
+          <tr>
+            <td></td>
+            ${products.map(headerCellTemplate)}
+          </tr>
+        </thead>
+        <tbody>
+          ${compareRows.map((row) => rowTemplate(row, products))}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// side by side table of up to four products, with the rows where they
+// differ highlighted
+export default class ProductCompare {
+  constructor(productIds, dataSource, parentSelector) {
+    // ignore repeats and anything past the limit in a hand edited link
+    this.productIds = [...new Set(productIds)].slice(0, maxCompare);
+    this.dataSource = dataSource;
+    this.parentSelector = parentSelector;
+    this.products = [];
+  }
+  async init() {
+    const parent = document.querySelector(this.parentSelector);
+    parent.addEventListener("click", (event) => {
+      if (event.target.closest(".page-state__retry")) this.loadProducts();
+      const remove = event.target.closest(".compare__remove");
+      if (remove) this.removeProduct(remove.dataset.id);
+    });
+    parent.addEventListener("change", (event) => {
+      if (event.target.name === "onlyDifferences") {
+        parent
+          .querySelector(".compare__table")
+          .classList.toggle(
+            "compare__table--differences",
+            event.target.checked
+          );
+      }
+    });
+    await this.loadProducts();
+  }
+  async loadProducts() {
+    if (this.productIds.length === 0) {
+      this.showNothingToCompare();
+      return;
+    }
+    this.showState(loadingTemplate("Loading products..."));
+    try {
+      const products = await Promise.all(
+        this.productIds.map((id) =>
+          this.dataSource.findProductById(id).catch((err) => {
+            // leave out products the server doesn't know, keep the rest
+            if (isNotFound(err)) return null;
+            throw err;
+          })
+        )
+      );
+      this.products = products.filter(Boolean);
+    } catch (err) {
+      this.showState(errorTemplate(getErrorMessage(err)));
+      return;
+    }
+    this.renderComparison();
+  }
+  removeProduct(id) {
+    // ids in a hand typed link may not match the case of product.Id
+    this.productIds = this.productIds.filter(
+      (item) => item.toUpperCase() !== id.toUpperCase()
+    );
+    this.products = this.products.filter((product) => product.Id !== id);
+    window.history.replaceState(null, "", getCompareUrl(this.productIds));
+    this.renderComparison();
+  }
+  renderComparison() {
+    if (this.products.length === 0) {
+      this.showNothingToCompare();
+      return;
+    }
+    document.querySelector(this.parentSelector).innerHTML = compareTemplate(
+      this.products
+    );
+  }
+  showNothingToCompare() {
+    this.showState(
+      notFoundTemplate(
+        "Nothing to compare",
+        "Tick Compare on up to four products in a category to see them side by side."
+      )
+    );
+  }
+  showState(markup) {
+    document.querySelector(this.parentSelector).innerHTML = markup;
+  }
+}
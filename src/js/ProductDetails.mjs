@@ -1,21 +1,108 @@
-import { setLocalStorage, getLocalStorage, alertMessage } from "./utils.mjs";
+import {
+  getDiscountPercent,
+  getDimensionLabel,
+  html,
+  sanitizeHtml,
+} from "./utils.mjs";
+import { showToast } from "./toasts.mjs";
+import { addCartItem } from "./cartStorage.mjs";
+import { addWishlistItem } from "./wishlistStorage.mjs";
+import { addRecentlyViewed } from "./recentlyViewedStorage.mjs";
+import ProductGallery from "./ProductGallery.mjs";
+import ProductRecommendations from "./ProductRecommendations.mjs";
+import { toCents, formatCents, formatPrice } from "./money.mjs";
+import {
+  loadingTemplate,
+  notFoundTemplate,
+  errorTemplate,
+  isNotFound,
+  getErrorMessage,
+} from "./pageStates.mjs";
+
+function colorSwatchTemplate(color, index) {
+  const chip = color.ColorChipImageSrc
+    ? html`<img src="${color.ColorChipImageSrc}" alt="" />`
+    : "";
+  return html`<label class="product__swatch">
+    <input
+      type="radio"
+      name="color"
+      value="${color.ColorCode}"
+      ${index === 0 && "checked"}
+    />
+    ${chip}<span>${color.ColorName}</span>
+  </label>`;
+}
+
+// SizesAvailable can hold several dimensions (SIZE, ZIPPER, LENGTH...),
+// each one gets its own dropdown
+function sizeSelectTemplate([dimension, values]) {
+  const options = values.map((value) => html`<option>${value}</option>`);
+  return html`<label class="product__size"
+    >${getDimensionLabel(dimension)}
+    <select name="${dimension}">
+      ${options}
+    </select>
+  </label>`;
+}
+
+function variantPickerTemplate(product) {
+  const sizes = Object.entries(product.SizesAvailable || {});
+  return html`<form class="product__variants" name="variants">
+    <fieldset class="product__colors">
+      <legend>Color</legend>
+      ${product.Colors.map(colorSwatchTemplate)}
+    </fieldset>
+    ${sizes.map(sizeSelectTemplate)}
+  </form>`;
+}
+
+// final price, with the struck through retail price and savings when the
+// product is discounted
+function priceTemplate(retailPrice, finalPrice) {
+  const discount = getDiscountPercent({
+    SuggestedRetailPrice: retailPrice,
+    FinalPrice: finalPrice,
+  });
+  if (discount === 0) {
+    return html`${formatPrice(finalPrice)}`;
+  }
+  const savings = toCents(retailPrice) - toCents(finalPrice);
+  return html`<del class="product__retail-price"
+      >${formatPrice(retailPrice)}</del
+    >
+    ${formatPrice(finalPrice)}
+    <span class="product__savings"
+      >Save ${formatCents(savings)} (${discount}%)</span
+    >`;
+}
 
 function productDetailsTemplate(product) {
-  return `<section class="product-detail"> <h3>${product.Brand.Name}</h3>
+  return html`<section class="product-detail">
+    <h3>${product.Brand.Name}</h3>
     <h2 class="divider">${product.NameWithoutBrand}</h2>
-    <img
-      class="divider"
-      src="${product.Images.PrimaryLarge}"
-      alt="${product.NameWithoutBrand}"
-    />
-    <p class="product-card__price">$${product.FinalPrice}</p>
-    <p class="product__color">${product.Colors[0].ColorName}</p>
-    <p class="product__description">
-    ${product.DescriptionHtmlSimple}
+    <div class="product-detail__gallery divider"></div>
+    <p id="productPrice" class="product-card__price">
+      ${priceTemplate(product.SuggestedRetailPrice, product.FinalPrice)}
+    </p>
+    <p id="productColor" class="product__color">
+      ${product.Colors[0].ColorName}
     </p>
+    ${variantPickerTemplate(product)}
+    <div class="product__description">
+      ${sanitizeHtml(product.DescriptionHtmlSimple)}
+    </div>
     <div class="product-detail__add">
       <button id="addToCart" data-id="${product.Id}">Add to Cart</button>
-    </div></section>`;
+      <button
+        id="addToWishlist"
+        class="button--secondary"
+        data-id="${product.Id}"
+      >
+        Add to Wishlist
+      </button>
+    </div>
+  </section>`;
 }
 
 export default class ProductDetails {
@@ -23,28 +110,149 @@ export default class ProductDetails {
     this.productId = productId;
     this.product = {};
     this.dataSource = dataSource;
+    this.selectedColor = null;
+    this.selectedSize = {};
   }
   async init() {
-    // use our datasource to get the details for the current product. findProductById will return a promise! use await or .then() to process it
-    this.product = await this.dataSource.findProductById(this.productId);
+    this.showState(loadingTemplate("Loading product..."));
+    try {
+      // use our datasource to get the details for the current product. findProductById will return a promise! use await or .then() to process it
+      this.product = this.productId
+        ? await this.dataSource.findProductById(this.productId)
+        : null;
+    } catch (err) {
+      if (isNotFound(err)) {
+        this.showNotFound();
+      } else {
+        this.showState(errorTemplate(getErrorMessage(err)));
+      }
+      return;
+    }
+    if (!this.product) {
+      this.showNotFound();
+      return;
+    }
+    this.clearState();
+    addRecentlyViewed(this.product.Id);
     // once we have the product details we can render out the HTML
     this.renderProductDetails("main");
+    this.gallery = new ProductGallery(
+      this.product,
+      document.querySelector(".product-detail__gallery")
+    );
+    this.gallery.init();
+    this.selectVariant();
+    document.forms["variants"].addEventListener(
+      "change",
+      this.selectVariant.bind(this)
+    );
     // once the HTML is rendered we can add a listener to Add to Cart button
     // Notice the .bind(this). Our callback will not work if we don't include that line. Review the readings from this week on 'this' to understand why.
     document
       .getElementById("addToCart")
       .addEventListener("click", this.addToCart.bind(this));
+    document
+      .getElementById("addToWishlist")
+      .addEventListener("click", this.addToWishlist.bind(this));
+    const recommendations = new ProductRecommendations(
+      this.product,
+      this.dataSource,
+      ".recommendations"
+    );
+    recommendations.init();
+  }
+  showNotFound() {
+    document.title = "Sleep Outside | Product not found";
+    this.showState(
+      notFoundTemplate(
+        "Product not found",
+        "We couldn't find that product. It may have sold out or the link may be out of date."
+      )
+    );
+  }
+  // loading, not found and error messages go in their own section in place
+  // of the product
+  showState(markup) {
+    const main = document.querySelector("main");
+    let state = main.querySelector(".product-detail__state");
+    if (!state) {
+      state = document.createElement("section");
+      state.className = "product-detail__state";
+      state.addEventListener("click", (event) => {
+        if (event.target.closest(".page-state__retry")) this.init();
+      });
+      main.prepend(state);
+    }
+    state.innerHTML = markup;
+  }
+  clearState() {
+    const state = document.querySelector(".product-detail__state");
+    if (state) state.remove();
+  }
+  // read the current color and size choices and update the image and price
+  // when the chosen color has its own
+  selectVariant() {
+    const form = document.forms["variants"];
+    const colorInput = form.querySelector("input[name='color']:checked");
+    this.selectedColor =
+      this.product.Colors.find(
+        (color) => colorInput && color.ColorCode === colorInput.value
+      ) || this.product.Colors[0];
+    this.selectedSize = {};
+    form.querySelectorAll("select").forEach((select) => {
+      this.selectedSize[select.name] = select.value;
+    });
+
+    this.gallery.showColorImage(this.getVariantImage());
+    document.getElementById("productPrice").innerHTML = priceTemplate(
+      this.product.SuggestedRetailPrice,
+      this.getVariantPrice()
+    );
+    document.getElementById("productColor").innerText =
+      this.selectedColor.ColorName;
+  }
+  // the first color is the one shown in the main product images, null
+  // when the gallery should show those
+  getVariantImage() {
+    if (
+      this.selectedColor !== this.product.Colors[0] &&
+      this.selectedColor.ColorPreviewImageSrc
+    ) {
+      return this.selectedColor.ColorPreviewImageSrc;
+    }
+    return null;
+  }
+  getVariantPrice() {
+    return this.selectedColor.FinalPrice || this.product.FinalPrice;
+  }
+  // the product with the chosen variant, ready to go in the cart or wishlist
+  getSelectedItem() {
+    const { ColorCode, ColorName } = this.selectedColor;
+    return {
+      ...this.product,
+      FinalPrice: this.getVariantPrice(),
+      color: { ColorCode, ColorName },
+      size: this.selectedSize,
+    };
   }
   addToCart() {
-    let cartContents = getLocalStorage("so-cart");
-    //check to see if there was anything there
-    if (!cartContents) {
-      cartContents = [];
+    // adding the same variant again just bumps the quantity on its cart line,
+    // a different color or size gets a line of its own
+    addCartItem(this.getSelectedItem());
+    showToast(`${this.product.NameWithoutBrand} added to cart!`, {
+      type: "success",
+      action: { label: "View cart", href: "/cart/index.html" },
+    });
+  }
+  addToWishlist() {
+    if (addWishlistItem(this.getSelectedItem())) {
+      showToast(`${this.product.NameWithoutBrand} added to your wishlist!`, {
+        type: "success",
+        action: { label: "View wishlist", href: "/wishlist/index.html" },
+      });
+    } else {
+      showToast(`${this.product.NameWithoutBrand} is already on your wishlist`);
     }
-    // then add the current product to the list
-    cartContents.push(this.product);
-    setLocalStorage("so-cart", cartContents);
-    alertMessage(`${this.product.NameWithoutBrand} added to cart!`);
   }
   renderProductDetails(selector) {
     const element = document.querySelector(selector);
@@ -53,4 +261,4 @@ export default class ProductDetails {
       productDetailsTemplate(this.product)
     );
   }
-}
\ No newline at end of file
+}
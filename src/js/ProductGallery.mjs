@@ -0,0 +1,218 @@
+import { getImageSrcset, html } from "./utils.mjs";
+
+// the main product image first, then any extra views the API sends
+function getGalleryImages(product) {
+  const images = product.Images;
+  return [
+    {
+      src: images.PrimaryLarge,
+      srcset: getImageSrcset(images),
+      zoomSrc: images.PrimaryExtraLarge || images.PrimaryLarge,
+      thumbSrc: images.PrimarySmall || images.PrimaryLarge,
+      alt: product.NameWithoutBrand,
+    },
+    ...(images.ExtraImages || []).map((image) => ({
+      src: image.Src,
+      srcset: "",
+      zoomSrc: image.Src,
+      thumbSrc: image.Src,
+      alt: `${product.NameWithoutBrand}, ${image.Title}`,
+    })),
+  ];
+}
+
+function thumbnailTemplate(image, index) {
+  return html`<li>
+    <button
+      class="gallery__thumb"
+      type="button"
+      data-index="${index}"
+      aria-label="Show image ${index + 1}"
+    >
+      <img src="${image.thumbSrc}" alt="" loading="lazy" />
+    </button>
+  </li>`;
+}
+
+function galleryTemplate(images) {
+  const single = images.length < 2 ? "hide" : "";
+  return html`<div
+      class="gallery"
+      aria-roledescription="carousel"
+      aria-label="Product images"
+      tabindex="0"
+    >
+      <div class="gallery__main">
+        <button
+          class="gallery__prev ${single}"
+          type="button"
+          aria-label="Previous image"
+        >
+          &lsaquo;
+        </button>
+        <button
+          class="gallery__zoom"
+          type="button"
+          aria-label="Zoom in on image"
+        >
+          <img id="productImage" sizes="(min-width: 500px) 450px, 90vw" />
+        </button>
+        <button
+          class="gallery__next ${single}"
+          type="button"
+          aria-label="Next image"
+        >
+          &rsaquo;
+        </button>
+      </div>
+      <ul class="gallery__thumbs ${single}">
+        ${images.map(thumbnailTemplate)}
+      </ul>
+    </div>
+    <dialog class="lightbox" aria-label="Product image">
+      <img class="lightbox__image" />
+      <p class="lightbox__caption" aria-live="polite"></p>
+      <button
+        class="lightbox__prev ${single}"
+        type="button"
+        aria-label="Previous image"
+      >
+        &lsaquo;
+      </button>
+      <button
+        class="lightbox__next ${single}"
+        type="button"
+        aria-label="Next image"
+      >
+        &rsaquo;
+      </button>
+      <button class="lightbox__close" type="button" aria-label="Close">
+        &times;
+      </button>
+    </dialog>`;
+}
+
+// calls back with 1 for a swipe to the left (next image) or -1 for a swipe
+// to the right
+function addSwipe(element, callback) {
+  let start = null;
+  element.addEventListener(
+    "touchstart",
+    (event) => {
+      start = event.touches[0];
+    },
+    { passive: true }
+  );
+  element.addEventListener("touchend", (event) => {
+    if (!start) return;
+    const end = event.changedTouches[0];
+    const dx = end.clientX - start.clientX;
+    const dy = end.clientY - start.clientY;
+    start = null;
+    // mostly sideways and far enough to not be a tap
+    if (Math.abs(dx) > 40 && Math.abs(dx) > Math.abs(dy)) {
+      callback(dx < 0 ? 1 : -1);
+    }
+  });
+}
+
+// image gallery for the product page, with thumbnails, a lightbox to zoom
+// in, arrow keys and swipes to move between images
+export default class ProductGallery {
+  constructor(product, parentElement) {
+    this.product = product;
+    this.parentElement = parentElement;
+    this.images = getGalleryImages(product);
+    this.index = 0;
+  }
+  init() {
+    this.parentElement.innerHTML = galleryTemplate(this.images);
+    this.gallery = this.parentElement.querySelector(".gallery");
+    this.lightbox = this.parentElement.querySelector(".lightbox");
+
+    this.gallery.addEventListener("click", (event) => {
+      const button = event.target.closest("button");
+      if (!button) return;
+      if (button.classList.contains("gallery__thumb")) {
+        this.show(parseInt(button.dataset.index));
+      } else if (button.classList.contains("gallery__prev")) {
+        this.step(-1);
+      } else if (button.classList.contains("gallery__next")) {
+        this.step(1);
+      } else if (button.classList.contains("gallery__zoom")) {
+        this.openLightbox();
+      }
+    });
+    this.lightbox.addEventListener("click", (event) => {
+      const button = event.target.closest("button");
+      // a click on the backdrop closes it too
+      if (event.target === this.lightbox) {
+        this.lightbox.close();
+      } else if (!button) {
+        return;
+      } else if (button.classList.contains("lightbox__prev")) {
+        this.step(-1);
+      } else if (button.classList.contains("lightbox__next")) {
+        this.step(1);
+      } else if (button.classList.contains("lightbox__close")) {
+        this.lightbox.close();
+      }
+    });
+    // escape is handled by the dialog itself
+    const handleKey = (event) => {
+      if (event.key === "ArrowLeft") {
+        event.preventDefault();
+        this.step(-1);
+      } else if (event.key === "ArrowRight") {
+        event.preventDefault();
+        this.step(1);
+      }
+    };
+    this.gallery.addEventListener("keydown", handleKey);
+    this.lightbox.addEventListener("keydown", handleKey);
+    addSwipe(this.gallery, (direction) => this.step(direction));
+    addSwipe(this.lightbox, (direction) => this.step(direction));
+
+    this.show(0);
+  }
+  step(direction) {
+    const count = this.images.length;
+    this.show((this.index + direction + count) % count);
+  }
+  show(index) {
+    this.index = index;
+    const image = this.images[index];
+    const mainImage = this.gallery.querySelector("#productImage");
+    // the extra images only come in one size, an empty srcset makes the
+    // browser use src
+    mainImage.srcset = image.srcset;
+    mainImage.src = image.src;
+    mainImage.alt = image.alt;
+    this.gallery.querySelectorAll(".gallery__thumb").forEach((thumb) => {
+      if (parseInt(thumb.dataset.index) === index) {
+        thumb.setAttribute("aria-current", "true");
+      } else {
+        thumb.removeAttribute("aria-current");
+      }
+    });
+    const lightboxImage = this.lightbox.querySelector(".lightbox__image");
+    lightboxImage.src = image.zoomSrc;
+    lightboxImage.alt = image.alt;
+    this.lightbox.querySelector(".lightbox__caption").textContent =
+      `${index + 1} of ${this.images.length}`;
+  }
+  openLightbox() {
+    this.lightbox.showModal();
+  }
+  // a color other than the first has its own picture, it takes the place of
+  // the main image. Pass nothing to go back to the main image.
+  showColorImage(src) {
+    const main = getGalleryImages(this.product)[0];
+    this.images[0] = src
+      ? { ...main, src, srcset: "", zoomSrc: src, thumbSrc: src }
+      : main;
+    this.gallery.querySelector(".gallery__thumb[data-index='0'] img").src =
+      this.images[0].thumbSrc;
+    this.show(0);
+  }
+}
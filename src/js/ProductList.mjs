@@ -1,37 +1,368 @@
-import { renderListWithTemplate } from "./utils.mjs";
+import {
+  renderListWithTemplate,
+  getDiscountPercent,
+  getImageSrcset,
+  html,
+} from "./utils.mjs";
+import { getSearchTerms, categories } from "./ExternalServices.mjs";
+import { formatPrice } from "./money.mjs";
+import {
+  loadingTemplate,
+  notFoundTemplate,
+  errorTemplate,
+  getErrorMessage,
+} from "./pageStates.mjs";
+import { highlightMatches } from "./ProductSearch.mjs";
+import { maxCompare, getCompareUrl } from "./ProductCompare.mjs";
+import { showToast } from "./toasts.mjs";
 
-function productCardTemplate(product) {
-  return `<li class="product-card">
-  <a href="/product_pages/index.html?product=${product.Id}">
-  <img
-    src="${product.Images.PrimaryMedium}"
-    alt="Image of ${product.Name}"
-  />
-  <h3 class="card__brand">${product.Brand.Name}</h3>
-  <h2 class="card__name">${product.Name}</h2>
-  <p class="product-card__price">$${product.FinalPrice}</p></a>
-</li>`;
+const sortOptions = {
+  "": { label: "Featured" },
+  "price-asc": {
+    label: "Price: low to high",
+    compare: (a, b) => a.FinalPrice - b.FinalPrice,
+  },
+  "price-desc": {
+    label: "Price: high to low",
+    compare: (a, b) => b.FinalPrice - a.FinalPrice,
+  },
+  name: {
+    label: "Name",
+    compare: (a, b) => a.NameWithoutBrand.localeCompare(b.NameWithoutBrand),
+  },
+  brand: {
+    label: "Brand",
+    compare: (a, b) => a.Brand.Name.localeCompare(b.Brand.Name),
+  },
+  discount: {
+    label: "Biggest discount",
+    compare: (a, b) => getDiscountPercent(b) - getDiscountPercent(a),
+  },
+};
+
+// price facet buckets, [min, max) in dollars
+const priceRanges = [
+  { value: "0-50", label: "Under $50", min: 0, max: 50 },
+  { value: "50-100", label: "$50 to $100", min: 50, max: 100 },
+  { value: "100-200", label: "$100 to $200", min: 100, max: 200 },
+  { value: "200-", label: "$200 and up", min: 200, max: Infinity },
+];
+
+function inPriceRange(product, range) {
+  return product.FinalPrice >= range.min && product.FinalPrice < range.max;
+}
+
+function discountBadgeTemplate(product) {
+  const discount = getDiscountPercent(product);
+  if (discount === 0) return "";
+  return html`<span class="product-card__discount">${discount}% off</span>`;
+}
+
+function productCardTemplate(product, terms = [], compared = false) {
+  return html`<li class="product-card">
+    <a href="/product_pages/index.html?product=${product.Id}">
+      ${discountBadgeTemplate(product)}
+      <img
+        src="${product.Images.PrimaryMedium}"
+        srcset="${getImageSrcset(product.Images)}"
+        sizes="220px"
+        alt="Image of ${product.Name}"
+      />
+      <h3 class="card__brand">
+        ${highlightMatches(product.Brand.Name, terms)}
+      </h3>
+      <h2 class="card__name">${highlightMatches(product.Name, terms)}</h2>
+      <p class="product-card__price">${formatPrice(product.FinalPrice)}</p></a
+    >
+    <label class="product-card__compare">
+      <input
+        type="checkbox"
+        name="compare"
+        value="${product.Id}"
+        ${compared && "checked"}
+      />
+      Compare
+    </label>
+  </li>`;
+}
+
+function compareBarTemplate(ids) {
+  const link =
+    ids.length > 1
+      ? html`<a class="compare-bar__link" href="${getCompareUrl(ids)}"
+          >Compare now</a
+        >`
+      : html`<span>Pick at least one more</span>`;
+  return html`<p>${ids.length} of ${maxCompare} products to compare</p>
+    ${link}
+    <button type="button" class="compare-bar__clear button--secondary">
+      Clear
+    </button>`;
+}
+
+function sortSelectTemplate(selected) {
+  const options = Object.entries(sortOptions).map(
+    ([value, option]) =>
+      html`<option value="${value}" ${value === selected && "selected"}>
+        ${option.label}
+      </option>`
+  );
+  return html`<label class="product-filters__sort"
+    >Sort by
+    <select name="sort">
+      ${options}
+    </select>
+  </label>`;
+}
+
+function facetTemplate(name, legend, options, selected) {
+  if (options.length < 2) return "";
+  const checkboxes = options.map(
+    (option) =>
+      html`<label>
+        <input
+          type="checkbox"
+          name="${name}"
+          value="${option.value}"
+          ${selected.includes(option.value) && "checked"}
+        />
+        ${option.label}
+        <span class="product-filters__count">(${option.count})</span>
+      </label>`
+  );
+  return html`<fieldset class="product-filters__facet">
+    <legend>${legend}</legend>
+    ${checkboxes}
+  </fieldset>`;
+}
+
+// count how many products have each value, keeping the values sorted
+function countValues(products, getValues) {
+  const counts = new Map();
+  products.forEach((product) => {
+    new Set(getValues(product)).forEach((value) =>
+      counts.set(value, (counts.get(value) || 0) + 1)
+    );
+  });
+  return [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, count]) => ({ value, label: value, count }));
 }
 
 export default class ProductList {
-  constructor(category, dataSource, listElement) {
+  constructor(category, dataSource, listElement, search = "") {
     // We passed in this information to make our class as reusable as possible.
     // Being able to define these things when we use the class will make it very flexible
     this.category = category;
     this.dataSource = dataSource;
     this.listElement = listElement;
+    // when there is a search we list the matches from every category instead
+    this.search = search;
+    this.products = [];
+    this.filters = { sort: "", brand: [], price: [], color: [] };
+    // ids of the products ticked for comparison
+    this.compare = [];
   }
   async init() {
-    // our dataSource will return a Promise...so we can use await to resolve it.
-    const list = await this.dataSource.getData(this.category);
-    // render the list
-    this.renderList(list);
     //set the title to the current category
-    document.querySelector(".title").innerHTML = this.category;
+    document.querySelector(".title").textContent = this.search || this.category;
+
+    const form = document.forms["filters"];
+    if (form) {
+      form.addEventListener("change", this.applyFilters.bind(this));
+    }
+    // the back button should undo a filter change
+    window.addEventListener("popstate", () => {
+      this.readFiltersFromURL();
+      this.renderFilters();
+      this.renderList(this.getVisibleProducts());
+      this.renderCompareBar();
+    });
+    this.listElement.addEventListener("click", (event) => {
+      if (event.target.closest(".page-state__retry")) this.loadProducts();
+    });
+    this.listElement.addEventListener("change", (event) => {
+      if (event.target.name === "compare") this.toggleCompare(event.target);
+    });
+    const compareBar = document.querySelector(".compare-bar");
+    if (compareBar) {
+      compareBar.addEventListener("click", (event) => {
+        if (event.target.closest(".compare-bar__clear")) this.clearCompare();
+      });
+    }
+    await this.loadProducts();
+  }
+  async loadProducts() {
+    if (!this.search && !categories.includes(this.category)) {
+      this.showState(
+        notFoundTemplate(
+          "Category not found",
+          "We don't carry that category, or the link is out of date."
+        )
+      );
+      return;
+    }
+    this.showState(loadingTemplate("Loading products..."));
+    try {
+      // our dataSource will return a Promise...so we can use await to resolve it.
+      this.products = this.search
+        ? await this.dataSource.searchProducts(this.search)
+        : await this.dataSource.getData(this.category);
+    } catch (err) {
+      this.showState(errorTemplate(getErrorMessage(err)));
+      return;
+    }
+    if (this.products.length === 0) {
+      this.showState(
+        this.search
+          ? notFoundTemplate(
+              "No matches",
+              "Nothing matched your search. Check the spelling or try a shorter search."
+            )
+          : notFoundTemplate(
+              "Nothing here yet",
+              "There are no products in this category right now."
+            )
+      );
+      return;
+    }
+    // sort and filters live in the query string so they can be bookmarked
+    this.readFiltersFromURL();
+    this.renderFilters();
+    // render the list
+    this.renderList(this.getVisibleProducts());
+    this.renderCompareBar();
+  }
+  // loading, empty and error states take the place of the whole list
+  showState(markup) {
+    this.products = [];
+    const form = document.forms["filters"];
+    if (form) form.innerHTML = "";
+    this.listElement.innerHTML = html`<li class="product-list__state">
+      ${markup}
+    </li>`;
+  }
+  readFiltersFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    this.filters = {
+      sort: sortOptions[params.get("sort")] ? params.get("sort") : "",
+      brand: params.getAll("brand"),
+      price: params.getAll("price"),
+      color: params.getAll("color"),
+    };
+    this.compare = params.getAll("compare").slice(0, maxCompare);
+  }
+  updateURL() {
+    const params = new URLSearchParams(window.location.search);
+    ["sort", "brand", "price", "color", "compare"].forEach((name) =>
+      params.delete(name)
+    );
+    if (this.filters.sort) params.set("sort", this.filters.sort);
+    ["brand", "price", "color"].forEach((name) =>
+      this.filters[name].forEach((value) => params.append(name, value))
+    );
+    this.compare.forEach((id) => params.append("compare", id));
+    window.history.pushState(null, "", `?${params}`);
+  }
+  renderFilters() {
+    const form = document.forms["filters"];
+    if (!form || this.products.length === 0) return;
+
+    const brands = countValues(this.products, (product) => [
+      product.Brand.Name,
+    ]);
+    const colors = countValues(this.products, (product) =>
+      product.Colors.map((color) => color.ColorName)
+    );
+    const prices = priceRanges
+      .map((range) => ({
+        ...range,
+        count: this.products.filter((product) => inPriceRange(product, range))
+          .length,
+      }))
+      .filter((range) => range.count > 0);
+
+    form.innerHTML = html`${sortSelectTemplate(this.filters.sort)}
+    ${facetTemplate("brand", "Brand", brands, this.filters.brand)}
+    ${facetTemplate("price", "Price", prices, this.filters.price)}
+    ${facetTemplate("color", "Color", colors, this.filters.color)}`;
+  }
+  applyFilters() {
+    const formData = new FormData(document.forms["filters"]);
+    this.filters = {
+      sort: formData.get("sort") || "",
+      brand: formData.getAll("brand"),
+      price: formData.getAll("price"),
+      color: formData.getAll("color"),
+    };
+    this.updateURL();
+    this.renderList(this.getVisibleProducts());
+  }
+  // filter with the selected facets (any value within a facet matches)
+  // then sort
+  getVisibleProducts() {
+    const { sort, brand, price, color } = this.filters;
+    const ranges = priceRanges.filter((range) => price.includes(range.value));
+    const list = this.products.filter(
+      (product) =>
+        (brand.length === 0 || brand.includes(product.Brand.Name)) &&
+        (ranges.length === 0 ||
+          ranges.some((range) => inPriceRange(product, range))) &&
+        (color.length === 0 ||
+          product.Colors.some((item) => color.includes(item.ColorName)))
+    );
+    if (sortOptions[sort].compare) {
+      list.sort(sortOptions[sort].compare);
+    }
+    return list;
   }
   // render after doing the first stretch
   renderList(list) {
-    renderListWithTemplate(productCardTemplate, this.listElement, list);
+    // still loading, or showing one of the states above
+    if (this.products.length === 0) return;
+    if (list.length === 0) {
+      this.listElement.innerHTML = `<li class="product-list__empty">No products match these filters.</li>`;
+      return;
+    }
+    const terms = getSearchTerms(this.search);
+    renderListWithTemplate(
+      (product) =>
+        productCardTemplate(product, terms, this.compare.includes(product.Id)),
+      this.listElement,
+      list,
+      "afterbegin",
+      true
+    );
+  }
+  toggleCompare(checkbox) {
+    if (!checkbox.checked) {
+      this.compare = this.compare.filter((id) => id !== checkbox.value);
+    } else if (this.compare.length >= maxCompare) {
+      checkbox.checked = false;
+      showToast(`You can compare up to ${maxCompare} products at a time`, {
+        type: "warning",
+      });
+      return;
+    } else {
+      this.compare.push(checkbox.value);
+    }
+    // ticked products stay in the query string along with the filters
+    this.updateURL();
+    this.renderCompareBar();
+  }
+  clearCompare() {
+    this.compare = [];
+    this.listElement
+      .querySelectorAll("input[name='compare']")
+      .forEach((checkbox) => (checkbox.checked = false));
+    this.updateURL();
+    this.renderCompareBar();
+  }
+  renderCompareBar() {
+    const compareBar = document.querySelector(".compare-bar");
+    if (!compareBar) return;
+    compareBar.classList.toggle("hide", this.compare.length === 0);
+    compareBar.innerHTML = compareBarTemplate(this.compare);
   }
 
   // render before doing the stretch
@@ -39,4 +370,4 @@ export default class ProductList {
   //   const htmlStrings = list.map(productCardTemplate);
   //   this.listElement.insertAdjacentHTML("afterbegin", htmlStrings.join(""));
   // }
-}
\ No newline at end of file
+}
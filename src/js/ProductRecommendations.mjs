@@ -0,0 +1,100 @@
+import { renderListWithTemplate, html } from "./utils.mjs";
+import { categories } from "./ExternalServices.mjs";
+import { productTileTemplate } from "./productTiles.mjs";
+
+const maxSimilar = 4;
+// similar items cost between half and one and a half times as much
+const priceRange = 0.5;
+
+// what else someone buying from a category needs to sleep outside, the first
+// category listed is suggested first
+const campPairings = {
+  tents: ["sleeping-bags", "backpacks"],
+  backpacks: ["tents", "sleeping-bags"],
+  "sleeping-bags": ["tents", "hammocks"],
+  hammocks: ["sleeping-bags", "backpacks"],
+};
+const perPairing = 2;
+
+// how close two prices are, as a fraction of the first
+function priceDistance(product, other) {
+  return Math.abs(other.FinalPrice - product.FinalPrice) / product.FinalPrice;
+}
+
+// same brand first, then the closest price
+function byBrandThenPrice(product) {
+  return (a, b) =>
+    (b.Brand.Name === product.Brand.Name) -
+      (a.Brand.Name === product.Brand.Name) ||
+    priceDistance(product, a) - priceDistance(product, b);
+}
+
+function getSimilarProducts(product, categoryProducts) {
+  return categoryProducts
+    .filter(
+      (other) =>
+        other.Id !== product.Id && priceDistance(product, other) <= priceRange
+    )
+    .sort(byBrandThenPrice(product))
+    .slice(0, maxSimilar);
+}
+
+function getCampProducts(product, category, catalog) {
+  return (campPairings[category] || []).flatMap((pairing) =>
+    [...catalog[pairing]].sort(byBrandThenPrice(product)).slice(0, perPairing)
+  );
+}
+
+function recommendationsTemplate(similar, camp) {
+  return html`${similar.length > 0 &&
+  html`<h2>Similar items</h2>
+    <ul class="product-strip recommendations__similar"></ul>`}
+  ${camp.length > 0 &&
+  html`<h2>Complete your camp</h2>
+    <ul class="product-strip recommendations__camp"></ul>`}`;
+}
+
+// suggestions under the product details: similar items from the same
+// category, and things from other categories that go with it
+export default class ProductRecommendations {
+  constructor(product, dataSource, parentSelector) {
+    this.product = product;
+    this.dataSource = dataSource;
+    this.parentSelector = parentSelector;
+  }
+  async init() {
+    const section = document.querySelector(this.parentSelector);
+    if (!section) return;
+    // the category lists are cached, so this is cheap after the first page
+    const lists = await Promise.all(
+      categories.map((name) =>
+        // recommendations are extra, a category that fails is just skipped
+        this.dataSource.getData(name).catch(() => [])
+      )
+    );
+    const catalog = Object.fromEntries(
+      categories.map((name, index) => [name, lists[index]])
+    );
+    // the product doesn't say which category it is in, find it
+    const category = categories.find((name) =>
+      catalog[name].some((other) => other.Id === this.product.Id)
+    );
+    if (!category) return;
+
+    const similar = getSimilarProducts(this.product, catalog[category]);
+    const camp = getCampProducts(this.product, category, catalog);
+    if (similar.length === 0 && camp.length === 0) return;
+
+    section.innerHTML = recommendationsTemplate(similar, camp);
+    section.classList.remove("hide");
+    [
+      [".recommendations__similar", similar],
+      [".recommendations__camp", camp],
+    ].forEach(([selector, products]) => {
+      const list = section.querySelector(selector);
+      if (list) {
+        renderListWithTemplate(productTileTemplate, list, products);
+      }
+    });
+  }
+}
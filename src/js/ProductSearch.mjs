@@ -0,0 +1,87 @@
+import { getSearchTerms } from "./ExternalServices.mjs";
+import { html } from "./utils.mjs";
+
+// wrap every occurrence of the search terms in <mark> tags
+export function highlightMatches(text, terms) {
+  if (!terms || terms.length === 0) {
+    return text;
+  }
+  const pattern = terms
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  // splitting on a capture group puts the matches at the odd indexes
+  const parts = text.split(new RegExp(`(${pattern})`, "gi"));
+  return html`${parts.map((part, index) =>
+    index % 2 ? html`<mark>${part}</mark>` : part
+  )}`;
+}
+
+function suggestionTemplate(product, terms) {
+  return html`<li role="option">
+    <a href="/product_pages/index.html?product=${product.Id}">
+      <img src="${product.Images.PrimarySmall}" alt="" />
+      <span>${highlightMatches(product.Name, terms)}</span>
+    </a>
+  </li>`;
+}
+
+// the search box in the header. Suggests matching products while the
+// customer types, submitting the form goes to the search results page.
+export default class ProductSearch {
+  constructor(formElement, dataSource) {
+    this.form = formElement;
+    this.dataSource = dataSource;
+    this.timer = null;
+    this.maxSuggestions = 6;
+  }
+  init() {
+    this.input = this.form.querySelector("input[name='q']");
+    this.suggestions = this.form.querySelector(".search__suggestions");
+    // keep the query in the box on the results page
+    this.input.value =
+      new URLSearchParams(window.location.search).get("q") || "";
+
+    this.input.addEventListener("input", () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(this.suggest.bind(this), 250);
+    });
+    this.input.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") this.hideSuggestions();
+    });
+    document.addEventListener("click", (event) => {
+      if (!this.form.contains(event.target)) this.hideSuggestions();
+    });
+  }
+  async suggest() {
+    const query = this.input.value.trim();
+    if (query.length < 2) {
+      this.hideSuggestions();
+      return;
+    }
+    let matches;
+    try {
+      matches = await this.dataSource.searchProducts(query);
+    } catch {
+      // suggestions are extra, the next keystroke tries again
+      this.hideSuggestions();
+      return;
+    }
+    // the customer kept typing while we were searching
+    if (query !== this.input.value.trim()) return;
+
+    const terms = getSearchTerms(query);
+    this.suggestions.innerHTML =
+      matches.length > 0
+        ? matches
+            .slice(0, this.maxSuggestions)
+            .map((product) => suggestionTemplate(product, terms))
+            .join("")
+        : html`<li class="search__none">No matching products</li>`;
+    this.suggestions.classList.remove("hide");
+    this.input.setAttribute("aria-expanded", "true");
+  }
+  hideSuggestions() {
+    this.suggestions.classList.add("hide");
+    this.input.setAttribute("aria-expanded", "false");
+  }
+}
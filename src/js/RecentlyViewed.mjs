@@ -0,0 +1,48 @@
+import { renderListWithTemplate } from "./utils.mjs";
+import { productTileTemplate } from "./productTiles.mjs";
+import { isNotFound } from "./pageStates.mjs";
+import {
+  getRecentlyViewed,
+  removeRecentlyViewed,
+} from "./recentlyViewedStorage.mjs";
+
+// a scrolling row of the products the customer looked at last. The section
+// stays hidden until there is something to show.
+export default class RecentlyViewed {
+  constructor(parentSelector, dataSource, excludeId = null) {
+    this.parentSelector = parentSelector;
+    this.dataSource = dataSource;
+    // the product page leaves out the product being shown
+    this.excludeId = excludeId;
+  }
+  async init() {
+    const section = document.querySelector(this.parentSelector);
+    if (!section) return;
+    const ids = getRecentlyViewed().filter(
+      (id) => id.toUpperCase() !== (this.excludeId || "").toUpperCase()
+    );
+    const products = await Promise.all(
+      ids.map((id) =>
+        this.dataSource.findProductById(id).catch((err) => {
+          // the server doesn't know this product any more
+          if (isNotFound(err)) return null;
+          // the strip is extra, leave the product out rather than break the
+          // page when the server can't be reached or is having trouble
+          return undefined;
+        })
+      )
+    );
+    const missing = ids.filter((id, index) => products[index] === null);
+    if (missing.length) removeRecentlyViewed(missing);
+
+    const found = products.filter(Boolean);
+    section.classList.toggle("hide", found.length === 0);
+    renderListWithTemplate(
+      productTileTemplate,
+      section.querySelector(".product-strip"),
+      found,
+      "afterbegin",
+      true
+    );
+  }
+}
@@ -1,43 +1,220 @@
-import { getLocalStorage } from "./utils.mjs";
+import { renderListWithTemplate, getImageSrcset, html } from "./utils.mjs";
+import { showToast } from "./toasts.mjs";
+import {
+  getCartItems,
+  addCartItem,
+  loadCartItems,
+  syncCartItems,
+  getLineId,
+  getVariantLabel,
+  updateCartItemQuantity,
+  changeCartItemQuantity,
+  removeCartItem,
+  getLineTotal,
+  getCartSubtotal,
+  getCartSavings,
+} from "./cartStorage.mjs";
+import { moveCartItemToWishlist } from "./wishlistStorage.mjs";
+import { formatCents } from "./money.mjs";
+import { errorTemplate, getErrorMessage } from "./pageStates.mjs";
 
 function cartItemTemplate(item) {
-  const newItem = `<li class="cart-card divider">
-  <a href="#" class="cart-card__image">
-    <img
-      src="${item.Images.PrimaryMedium}"
-      alt="${item.Name}"
-    />
-  </a>
-  <a href="#">
-    <h2 class="card__name">${item.Name}</h2>
-  </a>
-  <p class="cart-card__color">${item.Colors[0].ColorName}</p>
-  <p class="cart-card__quantity">qty: 1</p>
-  <p class="cart-card__price">$${item.FinalPrice}</p>
-</li>`;
+  const lineId = getLineId(item);
+  const newItem = html`<li class="cart-card divider">
+    <a
+      href="/product_pages/index.html?product=${item.Id}"
+      class="cart-card__image"
+    >
+      <img
+        src="${item.Images.PrimaryMedium}"
+        srcset="${getImageSrcset(item.Images)}"
+        sizes="(min-width: 500px) 250px, 25vw"
+        alt="${item.Name}"
+      />
+    </a>
+    <a href="/product_pages/index.html?product=${item.Id}">
+      <h2 class="card__name">${item.Name}</h2>
+    </a>
+    <p class="cart-card__color">${getVariantLabel(item)}</p>
+    <div class="cart-card__quantity">
+      <button
+        class="cart-card__decrement"
+        data-id="${lineId}"
+        aria-label="Decrease quantity of ${item.Name}"
+      >
+        &minus;
+      </button>
+      <input
+        class="cart-card__qty"
+        type="number"
+        min="1"
+        value="${item.quantity}"
+        data-id="${lineId}"
+        aria-label="Quantity of ${item.Name}"
+      />
+      <button
+        class="cart-card__increment"
+        data-id="${lineId}"
+        aria-label="Increase quantity of ${item.Name}"
+      >
+        +
+      </button>
+    </div>
+    <p class="cart-card__price">${formatCents(getLineTotal(item))}</p>
+    <button class="cart-card__save" data-id="${lineId}">Save for later</button>
+    <button
+      class="cart-card__remove"
+      data-id="${lineId}"
+      aria-label="Remove ${item.Name} from cart"
+    >
+      ✕
+    </button>
+  </li>`;
 
   return newItem;
 }
 
 export default class ShoppingCart {
-  constructor(key, parentSelector) {
+  constructor(key, parentSelector, dataSource) {
     this.key = key;
     this.parentSelector = parentSelector;
+    this.dataSource = dataSource;
+    this.items = [];
+    // in cents
     this.total = 0;
   }
   async init() {
-    const list = getLocalStorage(this.key);
-    this.calculateListTotal(list);
-    this.renderCartContents(list);
+    // one set of listeners on the list handles every line, even after a re-render
+    const parent = document.querySelector(this.parentSelector);
+    parent.addEventListener("click", this.handleClick.bind(this));
+    parent.addEventListener("change", this.handleQuantityChange.bind(this));
+    // the cart was changed in another tab
+    window.addEventListener("storage", (event) => {
+      if (event.key === this.key) this.refreshCart();
+    });
+    await this.loadCart();
+  }
+  // the cart only stores ids and quantities, get the current product data
+  // and let the customer know about anything that changed since they added it
+  async loadCart() {
+    try {
+      const { items, notices } = await loadCartItems(this.dataSource, this.key);
+      this.items = items;
+      notices.forEach((message) => showToast(message, { type: "warning" }));
+    } catch (err) {
+      this.showError(err);
+      return;
+    }
+    this.renderCartContents();
+  }
+  // the saved cart is still there, it just couldn't be priced. Say so rather
+  // than showing what looks like an empty cart.
+  showError(err) {
+    document.querySelector(this.parentSelector).innerHTML = html`<li
+      class="product-list__state"
+    >
+      ${errorTemplate(getErrorMessage(err))}
+    </li>`;
+    document.querySelector(".cart-footer").classList.add("hide");
+  }
+  // pick up what is saved now. Only lines we haven't seen yet (added in
+  // another tab) need their product data looked up.
+  refreshCart() {
+    const lines = getCartItems(this.key);
+    const items = syncCartItems(this.items, lines);
+    if (items.length < lines.length) {
+      return this.loadCart();
+    }
+    this.items = items;
+    this.renderCartContents();
   }
   calculateListTotal(list) {
-    const amounts = list.map((item) => item.FinalPrice);
-    this.total = amounts.reduce((sum, item) => sum + item);
+    this.total = getCartSubtotal(list);
   }
   renderCartContents() {
-    const cartItems = getLocalStorage(this.key);
-    const htmlItems = cartItems.map((item) => cartItemTemplate(item));
-    document.querySelector(this.parentSelector).innerHTML = htmlItems.join("");
-    document.querySelector(".list-total").innerText += ` $${this.total}`;
+    const cartItems = this.items;
+    renderListWithTemplate(
+      cartItemTemplate,
+      document.querySelector(this.parentSelector),
+      cartItems,
+      "afterbegin",
+      true
+    );
+    this.calculateListTotal(cartItems);
+    this.displayCartTotal(cartItems);
+  }
+  displayCartTotal(cartItems) {
+    const cartFooterElement = document.querySelector(".cart-footer");
+
+    if (cartItems.length > 0) {
+      cartFooterElement.classList.remove("hide");
+      document.querySelector(".cart-total").textContent = formatCents(
+        this.total
+      );
+      const savings = getCartSavings(cartItems);
+      const savingsElement = document.querySelector(".cart-savings");
+      savingsElement.textContent = `You save ${formatCents(savings)}`;
+      savingsElement.classList.toggle("hide", savings === 0);
+    } else {
+      cartFooterElement.classList.add("hide");
+    }
   }
-}
\ No newline at end of file
+  handleClick(event) {
+    if (event.target.closest(".page-state__retry")) {
+      this.loadCart();
+      return;
+    }
+    const button = event.target.closest("button");
+    if (!button) return;
+    const id = button.dataset.id;
+    const item = this.items.find((line) => getLineId(line) === id);
+    if (!item) return;
+
+    if (button.classList.contains("cart-card__increment")) {
+      changeCartItemQuantity(id, 1, this.key);
+    } else if (button.classList.contains("cart-card__decrement")) {
+      changeCartItemQuantity(id, -1, this.key);
+    } else if (button.classList.contains("cart-card__remove")) {
+      this.removeLine(item);
+    } else if (button.classList.contains("cart-card__save")) {
+      moveCartItemToWishlist(id, this.key);
+      showToast(`${item.Name} saved to your wishlist`, {
+        type: "success",
+        action: { label: "View wishlist", href: "/wishlist/index.html" },
+      });
+    } else {
+      return;
+    }
+    this.refreshCart();
+  }
+  // removing a line can be undone from the toast, the stored line is kept
+  // so it comes back with the same variant and quantity
+  removeLine(item) {
+    const id = getLineId(item);
+    const line = getCartItems(this.key).find(
+      (other) => getLineId(other) === id
+    );
+    removeCartItem(id, this.key);
+    // already removed in another tab, there is nothing to bring back
+    if (!line) return;
+    showToast(`${item.Name} removed from your cart`, {
+      action: {
+        label: "Undo",
+        onClick: () => {
+          addCartItem(line, line.quantity, this.key);
+          this.items.push(item);
+          this.refreshCart();
+        },
+      },
+    });
+  }
+  handleQuantityChange(event) {
+    if (!event.target.classList.contains("cart-card__qty")) return;
+    updateCartItemQuantity(
+      event.target.dataset.id,
+      event.target.value,
+      this.key
+    );
+    this.refreshCart();
+  }
+}
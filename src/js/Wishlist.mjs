@@ -0,0 +1,111 @@
+import { renderListWithTemplate, getImageSrcset, html } from "./utils.mjs";
+import { showToast } from "./toasts.mjs";
+import { getLineId, getVariantLabel, syncCartItems } from "./cartStorage.mjs";
+import {
+  getWishlistItems,
+  loadWishlistItems,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+} from "./wishlistStorage.mjs";
+import { formatPrice } from "./money.mjs";
+import { errorTemplate, getErrorMessage } from "./pageStates.mjs";
+
+function wishlistItemTemplate(item) {
+  const lineId = getLineId(item);
+  return html`<li class="cart-card divider">
+    <a
+      href="/product_pages/index.html?product=${item.Id}"
+      class="cart-card__image"
+    >
+      <img
+        src="${item.Images.PrimaryMedium}"
+        srcset="${getImageSrcset(item.Images)}"
+        sizes="(min-width: 500px) 250px, 25vw"
+        alt="${item.Name}"
+      />
+    </a>
+    <a href="/product_pages/index.html?product=${item.Id}">
+      <h2 class="card__name">${item.Name}</h2>
+    </a>
+    <p class="cart-card__color">${getVariantLabel(item)}</p>
+    <p class="cart-card__price">${formatPrice(item.FinalPrice)}</p>
+    <button class="wishlist-card__move" data-id="${lineId}">
+      Move to cart
+    </button>
+    <button
+      class="cart-card__remove"
+      data-id="${lineId}"
+      aria-label="Remove ${item.Name} from wishlist"
+    >
+      ✕
+    </button>
+  </li>`;
+}
+
+export default class Wishlist {
+  constructor(parentSelector, dataSource) {
+    this.parentSelector = parentSelector;
+    this.dataSource = dataSource;
+    this.items = [];
+  }
+  async init() {
+    document
+      .querySelector(this.parentSelector)
+      .addEventListener("click", this.handleClick.bind(this));
+    await this.loadWishlist();
+  }
+  async loadWishlist() {
+    try {
+      const { items, notices } = await loadWishlistItems(this.dataSource);
+      this.items = items;
+      notices.forEach((message) => showToast(message, { type: "warning" }));
+    } catch (err) {
+      document.querySelector(this.parentSelector).innerHTML = html`<li
+        class="product-list__state"
+      >
+        ${errorTemplate(getErrorMessage(err))}
+      </li>`;
+      return;
+    }
+    this.renderWishlist();
+  }
+  renderWishlist() {
+    const items = this.items;
+    const parent = document.querySelector(this.parentSelector);
+    if (items.length === 0) {
+      parent.innerHTML = `<li class="wishlist__empty">Your wishlist is empty.</li>`;
+      return;
+    }
+    renderListWithTemplate(
+      wishlistItemTemplate,
+      parent,
+      items,
+      "afterbegin",
+      true
+    );
+  }
+  handleClick(event) {
+    if (event.target.closest(".page-state__retry")) {
+      this.loadWishlist();
+      return;
+    }
+    const button = event.target.closest("button");
+    if (!button) return;
+
+    if (button.classList.contains("wishlist-card__move")) {
+      const item = moveWishlistItemToCart(button.dataset.id);
+      if (item) {
+        showToast(`${item.name} moved to your cart`, {
+          type: "success",
+          action: { label: "View cart", href: "/cart/index.html" },
+        });
+      }
+    } else if (button.classList.contains("cart-card__remove")) {
+      removeWishlistItem(button.dataset.id);
+    } else {
+      return;
+    }
+    this.items = syncCartItems(this.items, getWishlistItems());
+    this.renderWishlist();
+  }
+}
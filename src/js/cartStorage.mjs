@@ -0,0 +1,243 @@
+import {
+  getLocalStorage,
+  setLocalStorage,
+  getDimensionLabel,
+} from "./utils.mjs";
+import { toCents, formatPrice } from "./money.mjs";
+import { isNotFound } from "./pageStates.mjs";
+
+// Only a small line is stored for each product in the cart:
+//   { id, color, size, quantity, price, name }
+// color is the ColorCode and size is { DIMENSION: value }. price and name are
+// what the customer saw when they added it, so we can tell them when the
+// price changes or the product goes away. Everything else is looked up again
+// with loadCartItems.
+function toCartLine(item) {
+  // already a stored line
+  if (!("Id" in item)) {
+    return { ...item, size: item.size || {} };
+  }
+  return {
+    id: item.Id,
+    color: item.color ? item.color.ColorCode : "",
+    size: item.size || {},
+    quantity: item.quantity,
+    price: item.FinalPrice,
+    name: item.Name,
+  };
+}
+
+// the same product in a different color or size is a separate cart line,
+// so lines are identified by product id plus the chosen variant. Works on
+// stored lines and on the full items from loadCartItems.
+export function getLineId(item) {
+  const line = toCartLine(item);
+  return [line.id, line.color, Object.values(line.size).join("/")].join("|");
+}
+
+// readable description of the chosen variant, e.g. "Moss Green, Size: M"
+export function getVariantLabel(item) {
+  const color = item.color ? item.color.ColorName : item.Colors[0].ColorName;
+  const sizes = Object.entries(item.size || {}).map(
+    ([dimension, value]) => `${getDimensionLabel(dimension)}: ${value}`
+  );
+  return [color, ...sizes].join(", ");
+}
+
+// older carts stored one full product object per click, so shrink those down
+// to stored lines, fold any duplicates into a single line and give every
+// line a quantity
+function normalizeCart(items) {
+  const lines = [];
+  (items || []).forEach((item) => {
+    const line = toCartLine(item);
+    const quantity = parseInt(line.quantity) || 1;
+    const existing = lines.find(
+      (other) => getLineId(other) === getLineId(line)
+    );
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.push({ ...line, quantity });
+    }
+  });
+  return lines;
+}
+
+// get the stored cart lines out of localStorage, always returns an array
+export function getCartItems(key = "so-cart") {
+  const stored = getLocalStorage(key);
+  const lines = normalizeCart(stored);
+  // save carts in the old full product format in the new one straight away
+  if (stored && stored.some((item) => "Id" in item)) {
+    setLocalStorage(key, lines);
+  }
+  return lines;
+}
+
+// saving also lets the rest of the page (like the header count) know the
+// cart changed. Other tabs hear about it through the storage event.
+// Takes stored lines or full items.
+export function setCartItems(items, key = "so-cart") {
+  setLocalStorage(key, normalizeCart(items));
+  window.dispatchEvent(
+    new CustomEvent("cartchange", { detail: { key, items } })
+  );
+}
+
+// add a product to the cart, or bump the quantity if that same variant is
+// already there. The product may carry the chosen `color` and `size`.
+export function addCartItem(product, quantity = 1, key = "so-cart") {
+  const items = getCartItems(key);
+  const existing = items.find((item) => getLineId(item) === getLineId(product));
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    items.push({ ...toCartLine(product), quantity });
+  }
+  setCartItems(items, key);
+  return items;
+}
+
+// set the quantity of a cart line. Anything below 1 removes the line.
+export function updateCartItemQuantity(lineId, quantity, key = "so-cart") {
+  const newQuantity = parseInt(quantity);
+  if (!newQuantity || newQuantity < 1) {
+    return removeCartItem(lineId, key);
+  }
+  const items = getCartItems(key);
+  const item = items.find((line) => getLineId(line) === lineId);
+  if (item) {
+    item.quantity = newQuantity;
+    setCartItems(items, key);
+  }
+  return items;
+}
+
+// add (or with a negative change, take away) units on a cart line. Works
+// from what is saved right now rather than what a page last showed, so a
+// change made in another tab in the meantime isn't lost.
+export function changeCartItemQuantity(lineId, change, key = "so-cart") {
+  const item = getCartItems(key).find((line) => getLineId(line) === lineId);
+  if (!item) return getCartItems(key);
+  return updateCartItemQuantity(lineId, item.quantity + change, key);
+}
+
+export function removeCartItem(lineId, key = "so-cart") {
+  const items = getCartItems(key).filter((item) => getLineId(item) !== lineId);
+  setCartItems(items, key);
+  return items;
+}
+
+// the full product for a stored line, with the chosen color and its price.
+// null when the chosen color isn't sold any more.
+function toCartItem(product, line) {
+  const color = product.Colors.find((item) => item.ColorCode === line.color);
+  if (line.color && !color) return null;
+  return {
+    ...product,
+    FinalPrice: (color && color.FinalPrice) || product.FinalPrice,
+    color: color
+      ? { ColorCode: color.ColorCode, ColorName: color.ColorName }
+      : undefined,
+    size: line.size,
+    quantity: line.quantity,
+  };
+}
+
+// Looks up the current product data for every stored line. Returns the full
+// items plus a notice for each line whose price changed or whose product or
+// color is gone, and saves those changes back to the cart. Network and server errors
+// are thrown and the cart is left as it is.
+export async function loadCartItems(dataSource, key = "so-cart") {
+  const lines = getCartItems(key);
+  const products = await Promise.all(
+    lines.map((line) =>
+      // a cached copy could have yesterday's price, checkout would then send
+      // a price the server no longer accepts
+      dataSource.findProductById(line.id, { fresh: true }).catch((err) => {
+        // the server doesn't know this product any more. A server that is
+        // down says nothing about the product, so keep the line for then.
+        if (isNotFound(err)) return null;
+        throw err;
+      })
+    )
+  );
+
+  const items = [];
+  const notices = [];
+  const removed = [];
+  products.forEach((product, index) => {
+    const line = lines[index];
+    if (!product) {
+      removed.push(getLineId(line));
+      notices.push(
+        `${line.name || "An item"} is no longer available and was removed`
+      );
+      return;
+    }
+    const item = toCartItem(product, line);
+    if (!item) {
+      removed.push(getLineId(line));
+      notices.push(
+        `${product.Name} in that color is no longer available and was removed`
+      );
+      return;
+    }
+    if (line.price !== undefined && item.FinalPrice !== line.price) {
+      notices.push(
+        `The price of ${item.Name} went ${item.FinalPrice < line.price ? "down" : "up"} from ${formatPrice(line.price)} to ${formatPrice(item.FinalPrice)}`
+      );
+    }
+    items.push(item);
+  });
+
+  if (notices.length) {
+    // the cart may have changed in another tab while we were looking things
+    // up, so only drop the missing lines and update the prices we checked
+    const current = getCartItems(key)
+      .filter((line) => !removed.includes(getLineId(line)))
+      .map((line) => {
+        const item = items.find(
+          (other) => getLineId(other) === getLineId(line)
+        );
+        return item ? { ...line, price: item.FinalPrice } : line;
+      });
+    setCartItems(current, key);
+  }
+  return { items, notices };
+}
+
+// after a change to the stored lines, take the new quantities and drop
+// removed lines without looking every product up again
+export function syncCartItems(items, lines) {
+  return lines
+    .map((line) => {
+      const item = items.find((other) => getLineId(other) === getLineId(line));
+      return item && { ...item, quantity: line.quantity };
+    })
+    .filter(Boolean);
+}
+
+// total number of units in the cart (not the number of lines)
+export function getCartCount(items = getCartItems()) {
+  return items.reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// these need the full items from loadCartItems, and return cents
+export function getLineTotal(item) {
+  return toCents(item.FinalPrice) * item.quantity;
+}
+
+export function getCartSubtotal(items) {
+  return items.reduce((sum, item) => sum + getLineTotal(item), 0);
+}
+
+// how much the customer saves against the suggested retail prices
+export function getCartSavings(items) {
+  return items.reduce((sum, item) => {
+    const price = toCents(item.FinalPrice);
+    const retail = toCents(item.SuggestedRetailPrice) || price;
+    return sum + Math.max(retail - price, 0) * item.quantity;
+  }, 0);
+}
@@ -0,0 +1,52 @@
+// The categories the store carries and loading the local json files. Shared by ExternalServices and the stand-in server, so nothing in
+// here can use import.meta.env or the DOM.
+
+export const categories = ["tents", "backpacks", "sleeping-bags", "hammocks"];
+
+// some of the local files are a bare array of products with a single
+// relative `Image`, reshape them to look like what the API sends back
+export function normalizeProduct(product) {
+  if (product.Images || !product.Image) {
+    return product;
+  }
+  const image = product.Image.replace(/^\.\.\//, "/");
+  return {
+    ...product,
+    Images: {
+      PrimarySmall: image,
+      PrimaryMedium: image,
+      PrimaryLarge: image,
+      PrimaryExtraLarge: image,
+      ExtraImages: [],
+    },
+  };
+}
+
+// a category without a local file is just empty, the same as the API. The
+// vite dev server answers a missing file with index.html and a 200, so
+// anything that isn't json counts as missing too.
+export async function getLocalCategory(category) {
+  const response = await fetch(`/json/${category}.json`);
+  const type = response.headers.get("content-type") || "";
+  if (!response.ok || !type.includes("json")) {
+    return { Result: [] };
+  }
+  const data = await response.json().catch(() => null);
+  const products = Array.isArray(data) ? data : data && data.Result;
+  return { Result: (products || []).map(normalizeProduct) };
+}
+
+export async function findLocalProduct(id) {
+  const lists = await Promise.all(categories.map(getLocalCategory));
+  const product = lists
+    .flatMap((list) => list.Result)
+    .find((item) => item.Id.toUpperCase() === String(id).toUpperCase());
+  if (!product) {
+    throw {
+      name: "servicesError",
+      message: { id: `No product found with id ${id}` },
+      status: 404,
+    };
+  }
+  return { Result: product };
+}
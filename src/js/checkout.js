@@ -1,43 +1,12 @@
-import { getLocalStorage } from "./utils.mjs";
+import { loadHeaderFooter } from "./utils.mjs";
+import CheckoutProcess from "./CheckoutProcess.mjs";
 
-function renderCartTotal() {
-    const cartItems = getLocalStorage("so-cart");
-    if (!cartItems || cartItems.length === 0) {
-        document.querySelector(".cart-total").style.display = "none";
-        return;
-    }
+loadHeaderFooter();
 
-    const total = cartItems.reduce((sum, item) => sum + item.FinalPrice, 0);
+const order = new CheckoutProcess("so-cart", ".checkout-summary");
+order.init();
 
-    document.querySelector(".cart-total").style.display = "block";
-    document.querySelector("#cart-total").textContent = `$${total.toFixed(2)}`;
-}
-
-function checkoutSubmit(e) {
-    e.preventDefault();
-
-    const form = document.forms["checkout"];
-    const formData = new FormData(form);
-    const json = Object.fromEntries(formData.entries());
-
-    // Add items from cart
-    json.items = getLocalStorage("so-cart");
-
-    console.log("Order data:", json);
-
-    // Here you would normally send to a server
-    // For now, just alert success
-    alert("Order submitted successfully!");
-
-    // Clear the cart
-    localStorage.removeItem("so-cart");
-
-    // Redirect to home or confirmation page
-    window.location.href = "/index.html";
-}
-
-renderCartTotal();
-
-// Attach submit handler
-document.querySelector("#checkout-form")
-    .addEventListener("submit", checkoutSubmit);
\ No newline at end of file
+document.forms["checkout"].addEventListener("submit", (e) => {
+  e.preventDefault();
+  order.checkout();
+});
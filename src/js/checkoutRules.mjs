@@ -0,0 +1,94 @@
+import { toCents } from "./money.mjs";
+
+// Tax and shipping rules used by CheckoutProcess. Change the numbers here
+// rather than in the checkout code. Amounts here are in dollars, the
+// functions take and return cents.
+
+// state sales tax rates, by two letter state code
+export const taxRates = {
+  AL: 0.04,
+  AK: 0,
+  AZ: 0.056,
+  AR: 0.065,
+  CA: 0.0725,
+  CO: 0.029,
+  CT: 0.0635,
+  DE: 0,
+  DC: 0.06,
+  FL: 0.06,
+  GA: 0.04,
+  HI: 0.04,
+  ID: 0.06,
+  IL: 0.0625,
+  IN: 0.07,
+  IA: 0.06,
+  KS: 0.065,
+  KY: 0.06,
+  LA: 0.0445,
+  ME: 0.055,
+  MD: 0.06,
+  MA: 0.0625,
+  MI: 0.06,
+  MN: 0.06875,
+  MS: 0.07,
+  MO: 0.04225,
+  MT: 0,
+  NE: 0.055,
+  NV: 0.0685,
+  NH: 0,
+  NJ: 0.06625,
+  NM: 0.04875,
+  NY: 0.04,
+  NC: 0.0475,
+  ND: 0.05,
+  OH: 0.0575,
+  OK: 0.045,
+  OR: 0,
+  PA: 0.06,
+  RI: 0.07,
+  SC: 0.06,
+  SD: 0.042,
+  TN: 0.07,
+  TX: 0.0625,
+  UT: 0.061,
+  VT: 0.06,
+  VA: 0.053,
+  WA: 0.065,
+  WV: 0.06,
+  WI: 0.05,
+  WY: 0.04,
+};
+
+// used until the customer has entered a state we know
+export const defaultTaxRate = 0.06;
+
+// a flat charge for the first item plus a charge for each additional one
+export const shippingMethods = {
+  standard: { base: 10, perItem: 2 },
+  expedited: { base: 20, perItem: 4 },
+  overnight: { base: 40, perItem: 8 },
+};
+
+// standard shipping is free on orders of at least this much
+export const freeShippingThreshold = 100;
+
+export function getTaxRate(state) {
+  const code = (state || "").trim().toUpperCase();
+  return code in taxRates ? taxRates[code] : defaultTaxRate;
+}
+
+export function getShippingCost(method, itemCount, itemTotal) {
+  const rule = shippingMethods[method] || shippingMethods.standard;
+  if (itemCount === 0) {
+    return 0;
+  }
+  if (
+    rule === shippingMethods.standard &&
+    itemTotal >= toCents(freeShippingThreshold)
+  ) {
+    return 0;
+  }
+  return (
+    toCents(rule.base) + Math.max(itemCount - 1, 0) * toCents(rule.perItem)
+  );
+}
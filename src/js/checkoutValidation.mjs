@@ -0,0 +1,158 @@
+// Client side checks for the checkout form. These catch the obvious mistakes
+// before the order goes to the server, which still validates everything.
+
+// two letter code -> name, used for the state dropdown
+export const usStates = {
+  AL: "Alabama",
+  AK: "Alaska",
+  AZ: "Arizona",
+  AR: "Arkansas",
+  CA: "California",
+  CO: "Colorado",
+  CT: "Connecticut",
+  DE: "Delaware",
+  DC: "District of Columbia",
+  FL: "Florida",
+  GA: "Georgia",
+  HI: "Hawaii",
+  ID: "Idaho",
+  IL: "Illinois",
+  IN: "Indiana",
+  IA: "Iowa",
+  KS: "Kansas",
+  KY: "Kentucky",
+  LA: "Louisiana",
+  ME: "Maine",
+  MD: "Maryland",
+  MA: "Massachusetts",
+  MI: "Michigan",
+  MN: "Minnesota",
+  MS: "Mississippi",
+  MO: "Missouri",
+  MT: "Montana",
+  NE: "Nebraska",
+  NV: "Nevada",
+  NH: "New Hampshire",
+  NJ: "New Jersey",
+  NM: "New Mexico",
+  NY: "New York",
+  NC: "North Carolina",
+  ND: "North Dakota",
+  OH: "Ohio",
+  OK: "Oklahoma",
+  OR: "Oregon",
+  PA: "Pennsylvania",
+  RI: "Rhode Island",
+  SC: "South Carolina",
+  SD: "South Dakota",
+  TN: "Tennessee",
+  TX: "Texas",
+  UT: "Utah",
+  VT: "Vermont",
+  VA: "Virginia",
+  WA: "Washington",
+  WV: "West Virginia",
+  WI: "Wisconsin",
+  WY: "Wyoming",
+};
+
+const requiredMessages = {
+  fname: "Enter your first name",
+  lname: "Enter your last name",
+  street: "Enter your street address",
+  city: "Enter your city",
+  state: "Choose your state",
+  zip: "Enter your zip code",
+  cardNumber: "Enter your card number",
+  expiration: "Enter the card expiration date",
+  code: "Enter the card security code",
+};
+
+// the fields checked here, in the order they appear on the form
+export const checkoutFields = Object.keys(requiredMessages);
+
+// card numbers may be typed with spaces or dashes between the groups
+export function cleanCardNumber(value) {
+  return String(value || "").replace(/[\s-]/g, "");
+}
+
+// "04 / 28" passes the check below, the server only takes "04/28"
+export function cleanExpiration(value) {
+  return String(value || "").replace(/\s/g, "");
+}
+
+// standard Luhn checksum, catches most typos in a card number
+export function luhnCheck(number) {
+  let sum = 0;
+  let double = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = parseInt(number[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+// MM/YY, good through the end of that month
+function checkExpiration(value, today) {
+  const match = /^(0[1-9]|1[0-2])\s*\/\s*(\d{2})$/.exec(value);
+  if (!match) {
+    return "Use the MM/YY format, like 04/28";
+  }
+  const endOfMonth = new Date(2000 + parseInt(match[2]), parseInt(match[1]), 1);
+  if (endOfMonth <= today) {
+    return "This card has expired";
+  }
+}
+
+// the message for one field, or undefined when it's fine
+export function validateField(name, value, today = new Date()) {
+  const trimmed = String(value || "").trim();
+  if (!trimmed) {
+    return requiredMessages[name];
+  }
+  switch (name) {
+    case "state":
+      if (!(trimmed.toUpperCase() in usStates)) {
+        return "Choose a US state";
+      }
+      break;
+    case "zip":
+      if (!/^\d{5}(-\d{4})?$/.test(trimmed)) {
+        return "Enter a 5 digit zip, like 83440 or 83440-1234";
+      }
+      break;
+    case "cardNumber": {
+      const number = cleanCardNumber(trimmed);
+      if (!/^\d{16}$/.test(number)) {
+        return "Card numbers are 16 digits";
+      }
+      if (!luhnCheck(number)) {
+        return "Check the card number, it isn't valid";
+      }
+      break;
+    }
+    case "expiration":
+      return checkExpiration(trimmed, today);
+    case "code":
+      if (!/^\d{3,4}$/.test(trimmed)) {
+        return "Security codes are 3 or 4 digits";
+      }
+      break;
+  }
+}
+
+// checks every field in the form data, returns field -> message for the
+// ones with problems
+export function validateCheckout(values, today = new Date()) {
+  const errors = {};
+  checkoutFields.forEach((name) => {
+    const message = validateField(name, values[name], today);
+    if (message) errors[name] = message;
+  });
+  return errors;
+}
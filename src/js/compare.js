@@ -0,0 +1,15 @@
+import { loadHeaderFooter } from "./utils.mjs";
+import ExternalServices from "./ExternalServices.mjs";
+import ProductCompare from "./ProductCompare.mjs";
+
+loadHeaderFooter();
+
+const productIds = new URLSearchParams(window.location.search).getAll(
+  "product"
+);
+const comparison = new ProductCompare(
+  productIds,
+  new ExternalServices(),
+  ".compare"
+);
+comparison.init();
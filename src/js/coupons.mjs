@@ -0,0 +1,74 @@
+import { toCents, applyRate, formatPrice } from "./money.mjs";
+
+// Coupon codes the checkout accepts. Every coupon has a `type`:
+//   percent      - `value` percent off the items
+//   fixed        - `value` dollars off the items
+//   freeShipping - no shipping charge for any method
+// and can also have:
+//   brand    - only items from this brand count towards the discount
+//   minOrder - the item subtotal needed before the coupon applies
+//   expires  - last day the coupon can be used (YYYY-MM-DD)
+export const coupons = [
+  { code: "WELCOME10", type: "percent", value: 10 },
+  { code: "SAVE20", type: "fixed", value: 20, minOrder: 150 },
+  { code: "SHIPFREE", type: "freeShipping", minOrder: 50 },
+  { code: "MARMOT15", type: "percent", value: 15, brand: "Marmot" },
+  {
+    code: "SUMMER25",
+    type: "percent",
+    value: 25,
+    minOrder: 200,
+    expires: "2026-08-31",
+  },
+];
+
+function isExpired(coupon, today) {
+  if (!coupon.expires) return false;
+  // good through the end of the expiry day
+  const endOfDay = new Date(`${coupon.expires}T23:59:59`);
+  return today > endOfDay;
+}
+
+// Works out what a coupon code is worth for the given cart lines.
+// itemTotal and the discount returned are in cents.
+// Returns { coupon, discount, freeShipping } or { error } when the code
+// can't be used.
+export function evaluateCoupon(code, items, itemTotal, today = new Date()) {
+  const coupon = coupons.find(
+    (item) => item.code === (code || "").trim().toUpperCase()
+  );
+  if (!coupon) {
+    return { error: "That coupon code isn't valid" };
+  }
+  if (isExpired(coupon, today)) {
+    return { error: `${coupon.code} expired on ${coupon.expires}` };
+  }
+  if (coupon.minOrder && itemTotal < toCents(coupon.minOrder)) {
+    return {
+      error: `${coupon.code} needs an order of at least ${formatPrice(coupon.minOrder)}`,
+    };
+  }
+
+  const eligibleItems = coupon.brand
+    ? items.filter((item) => item.Brand.Name === coupon.brand)
+    : items;
+  const eligibleTotal = eligibleItems.reduce(
+    (sum, item) => sum + toCents(item.FinalPrice) * item.quantity,
+    0
+  );
+  if (coupon.brand && eligibleTotal === 0) {
+    return { error: `${coupon.code} only applies to ${coupon.brand} items` };
+  }
+
+  let discount = 0;
+  if (coupon.type === "percent") {
+    discount = applyRate(eligibleTotal, coupon.value / 100);
+  } else if (coupon.type === "fixed") {
+    discount = Math.min(toCents(coupon.value), eligibleTotal);
+  }
+  return {
+    coupon,
+    discount,
+    freeShipping: coupon.type === "freeShipping",
+  };
+}
@@ -1,3 +1,11 @@
 import { loadHeaderFooter } from "./utils.mjs";
+import ExternalServices from "./ExternalServices.mjs";
+import RecentlyViewed from "./RecentlyViewed.mjs";
 
 loadHeaderFooter();
+
+const recentlyViewed = new RecentlyViewed(
+  ".recently-viewed",
+  new ExternalServices()
+);
+recentlyViewed.init();
@@ -0,0 +1,36 @@
+// Money math for the store. Prices come from the API as dollars with cents
+// (379.99), adding those as floats drifts (379.97999999), so every total is
+// worked out in whole cents and only turned back into dollars to show or
+// send it.
+
+const currencyFormat = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+});
+
+// 379.99 or "379.99" -> 37999
+export function toCents(dollars) {
+  return Math.round(Number(dollars || 0) * 100);
+}
+
+// 37999 -> 379.99, for the API and saved orders
+export function toDollars(cents) {
+  return cents / 100;
+}
+
+// a rate (tax) or fraction (percent off) of an amount, rounded half up to
+// the nearest cent. The toFixed drops float noise like 2754.4999999 first so
+// the same amount always rounds the same way.
+export function applyRate(cents, rate) {
+  return Math.round(Number((cents * rate).toFixed(6)));
+}
+
+// 37999 -> "$379.99"
+export function formatCents(cents) {
+  return currencyFormat.format(toDollars(cents));
+}
+
+// for prices that are still in dollars, like FinalPrice
+export function formatPrice(dollars) {
+  return formatCents(toCents(dollars));
+}
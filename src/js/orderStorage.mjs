@@ -0,0 +1,70 @@
+import { getLocalStorage, setLocalStorage } from "./utils.mjs";
+import { addCartItem, getVariantLabel } from "./cartStorage.mjs";
+
+// past orders, newest first. Each line keeps only what the receipt and "buy
+// again" need, like the cart does:
+//   { id, name, color, size, variant, quantity, price }
+// variant is the color and size as the customer saw them and price is what
+// they paid for one.
+const ordersKey = "so-orders";
+// the oldest orders are dropped past this many
+const maxOrders = 50;
+
+function toOrderLine(item) {
+  return {
+    id: item.Id,
+    name: item.Name,
+    color: item.color ? item.color.ColorCode : "",
+    size: item.size || {},
+    variant: getVariantLabel(item),
+    quantity: item.quantity,
+    price: item.FinalPrice,
+  };
+}
+
+export function getOrders() {
+  const orders = getLocalStorage(ordersKey) || [];
+  // orders saved before lines were shrunk kept the full product objects
+  if (orders.some((order) => order.items.some((item) => "Id" in item))) {
+    orders.forEach((order) => {
+      order.items = order.items.map((item) =>
+        "Id" in item ? toOrderLine(item) : item
+      );
+    });
+    setLocalStorage(ordersKey, orders);
+  }
+  return orders;
+}
+
+export function getOrder(id) {
+  return getOrders().find((order) => order.id === id);
+}
+
+// takes the full items from loadCartItems
+export function saveOrder(order) {
+  const saved = { ...order, items: order.items.map(toOrderLine) };
+  const orders = getOrders().filter((item) => item.id !== order.id);
+  orders.unshift(saved);
+  setLocalStorage(ordersKey, orders.slice(0, maxOrders));
+  return saved;
+}
+
+// "buy again", adds every line of a past order back to the cart
+export function reorder(id) {
+  const order = getOrder(id);
+  if (order) {
+    order.items.forEach((item) =>
+      addCartItem(
+        {
+          id: item.id,
+          color: item.color,
+          size: item.size,
+          name: item.name,
+          price: item.price,
+        },
+        item.quantity
+      )
+    );
+  }
+  return order;
+}
@@ -0,0 +1,7 @@
+import { loadHeaderFooter } from "./utils.mjs";
+import OrderHistory from "./OrderHistory.mjs";
+
+loadHeaderFooter();
+
+const orderHistory = new OrderHistory(".order-list");
+orderHistory.init();
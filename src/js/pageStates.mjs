@@ -0,0 +1,56 @@
+import { categories } from "./ExternalServices.mjs";
+import { html } from "./utils.mjs";
+
+// what the listing and product pages show instead of products while they
+// load, when there is nothing to show, or when the server is having trouble
+
+function categoryLinkTemplate(category) {
+  const label = category
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+  return html`<li>
+    <a href="/product_listing/index.html?category=${category}">${label}</a>
+  </li>`;
+}
+
+export function loadingTemplate(message) {
+  return html`<div class="page-state page-state--loading" role="status">
+    <span class="page-state__spinner" aria-hidden="true"></span>
+    <p>${message}</p>
+  </div>`;
+}
+
+// empty results and unknown categories or products, with a way back into
+// the store
+export function notFoundTemplate(title, message) {
+  return html`<div class="page-state page-state--not-found">
+    <h3>${title}</h3>
+    <p>${message}</p>
+    <p>Try one of our categories:</p>
+    <ul class="page-state__categories">
+      ${categories.map(categoryLinkTemplate)}
+    </ul>
+  </div>`;
+}
+
+export function errorTemplate(message) {
+  return html`<div class="page-state page-state--error" role="alert">
+    <h3>Something went wrong</h3>
+    <p>${message}</p>
+    <button type="button" class="page-state__retry">Try again</button>
+  </div>`;
+}
+
+// a servicesError with a 404 (or any 4xx) means the server answered and
+// there is no such thing. Anything else is worth trying again.
+export function isNotFound(err) {
+  return err.name === "servicesError" && !(err.status >= 500);
+}
+
+// the message to show for a failed request
+export function getErrorMessage(err) {
+  return err.name === "networkError"
+    ? `${err.message}. Check your connection and try again.`
+    : "The store is having trouble right now. Please try again in a moment.";
+}
@@ -1,11 +1,19 @@
 import { getParam, loadHeaderFooter } from "./utils.mjs";
 import ExternalServices from "./ExternalServices.mjs";
 import ProductDetails from "./ProductDetails.mjs";
+import RecentlyViewed from "./RecentlyViewed.mjs";
 
 loadHeaderFooter();
 
-const dataSource = new ExternalServices("tents");
+const dataSource = new ExternalServices();
 const productId = getParam("product");
 
 const product = new ProductDetails(productId, dataSource);
-product.init();
\ No newline at end of file
+product.init();
+
+const recentlyViewed = new RecentlyViewed(
+  ".recently-viewed",
+  dataSource,
+  productId
+);
+recentlyViewed.init();
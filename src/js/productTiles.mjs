@@ -0,0 +1,19 @@
+import { html } from "./utils.mjs";
+import { formatPrice } from "./money.mjs";
+
+// a small product card for the scrolling strips (recently viewed,
+// recommendations) that link off to other products
+export function productTileTemplate(product) {
+  return html`<li class="product-card product-tile">
+    <a href="/product_pages/index.html?product=${product.Id}">
+      <img
+        src="${product.Images.PrimarySmall || product.Images.PrimaryMedium}"
+        alt=""
+        loading="lazy"
+      />
+      <h3 class="card__brand">${product.Brand.Name}</h3>
+      <h2 class="card__name">${product.NameWithoutBrand || product.Name}</h2>
+      <p class="product-card__price">${formatPrice(product.FinalPrice)}</p>
+    </a>
+  </li>`;
+}
@@ -0,0 +1,24 @@
+import { getLocalStorage, setLocalStorage } from "./utils.mjs";
+
+// ids of the products the customer has looked at, newest first. Only the id
+// is kept, the strip looks up the current name, picture and price.
+const recentlyViewedKey = "so-recently-viewed";
+const maxRecentlyViewed = 12;
+
+export function getRecentlyViewed() {
+  return getLocalStorage(recentlyViewedKey) || [];
+}
+
+// moves a product back to the front when it was already there
+export function addRecentlyViewed(id) {
+  const ids = getRecentlyViewed().filter((item) => item !== id);
+  ids.unshift(id);
+  setLocalStorage(recentlyViewedKey, ids.slice(0, maxRecentlyViewed));
+}
+
+export function removeRecentlyViewed(ids) {
+  setLocalStorage(
+    recentlyViewedKey,
+    getRecentlyViewed().filter((item) => !ids.includes(item))
+  );
+}
@@ -0,0 +1,11 @@
+import { loadHeaderFooter, getParam } from "./utils.mjs";
+import ExternalServices from "./ExternalServices.mjs";
+import ProductList from "./ProductList.mjs";
+
+loadHeaderFooter();
+const query = getParam("q") || "";
+const dataSource = new ExternalServices();
+const element = document.querySelector(".product-list");
+const listing = new ProductList("", dataSource, element, query);
+
+listing.init();
@@ -0,0 +1,7 @@
+import { loadHeaderFooter, getParam } from "./utils.mjs";
+import OrderReceipt from "./OrderReceipt.mjs";
+
+loadHeaderFooter();
+
+const receipt = new OrderReceipt(getParam("order"), ".receipt");
+receipt.init();
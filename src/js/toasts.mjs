@@ -0,0 +1,133 @@
+// Small pop up messages in the corner of the page. Only a few show at a time,
+// the rest wait their turn. They go away on their own unless the pointer or
+// keyboard focus is on them.
+
+const maxVisible = 3;
+// how long each type stays up, 0 stays until it is closed
+const durations = {
+  success: 4000,
+  info: 5000,
+  warning: 7000,
+  error: 0,
+};
+
+const queue = [];
+const visible = [];
+let region = null;
+
+// one live region for every toast, so screen readers announce them
+function getRegion() {
+  if (!region) {
+    region = document.createElement("div");
+    region.className = "toasts";
+    region.setAttribute("aria-live", "polite");
+    document.body.append(region);
+  }
+  return region;
+}
+
+// screen readers tend to skip whatever is in a live region when it first
+// shows up, so pages put the empty region in place before any toast
+export function initToasts() {
+  getRegion();
+}
+
+function createToastElement(toast) {
+  const element = document.createElement("div");
+  element.className = `toast toast--${toast.type}`;
+  // errors interrupt, everything else waits for a pause
+  if (toast.type === "error") element.setAttribute("role", "alert");
+
+  const message = document.createElement("p");
+  message.className = "toast__message";
+  message.textContent = toast.message;
+  element.append(message);
+
+  if (toast.action) {
+    const action = document.createElement(toast.action.href ? "a" : "button");
+    action.className = "toast__action";
+    action.textContent = toast.action.label;
+    if (toast.action.href) {
+      action.href = toast.action.href;
+    } else {
+      action.type = "button";
+      action.addEventListener("click", () => {
+        toast.action.onClick();
+        dismiss(toast);
+      });
+    }
+    element.append(action);
+  }
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "toast__close";
+  close.setAttribute("aria-label", "Dismiss");
+  close.textContent = "✕";
+  close.addEventListener("click", () => dismiss(toast));
+  element.append(close);
+
+  // hold the toast while someone is reading or using it
+  element.addEventListener("mouseenter", () => pause(toast));
+  element.addEventListener("mouseleave", () => resume(toast));
+  element.addEventListener("focusin", () => pause(toast));
+  element.addEventListener("focusout", () => resume(toast));
+  return element;
+}
+
+function pause(toast) {
+  if (!toast.timer) return;
+  clearTimeout(toast.timer);
+  toast.timer = null;
+  toast.remaining -= Date.now() - toast.started;
+}
+
+function resume(toast) {
+  if (toast.timer || !toast.remaining || !visible.includes(toast)) return;
+  toast.started = Date.now();
+  toast.timer = setTimeout(() => dismiss(toast), Math.max(toast.remaining, 0));
+}
+
+function showNext() {
+  while (visible.length < maxVisible && queue.length) {
+    const toast = queue.shift();
+    toast.element = createToastElement(toast);
+    getRegion().append(toast.element);
+    visible.push(toast);
+    resume(toast);
+  }
+}
+
+function dismiss(toast) {
+  clearTimeout(toast.timer);
+  const index = visible.indexOf(toast);
+  if (index === -1) return;
+  visible.splice(index, 1);
+  toast.element.remove();
+  showNext();
+}
+
+// message is plain text. Options:
+//   type     - "success", "info", "warning" or "error"
+//   duration - ms before it goes away, 0 to keep it until it is closed
+//   action   - a button or link in the toast, { label, onClick } or
+//              { label, href }
+export function showToast(message, options = {}) {
+  const type = options.type || "info";
+  const toast = {
+    message,
+    type,
+    action: options.action,
+    remaining: options.duration ?? durations[type],
+    timer: null,
+  };
+  queue.push(toast);
+  showNext();
+  return toast;
+}
+
+// take down every toast, showing and waiting
+export function clearToasts() {
+  queue.length = 0;
+  [...visible].forEach(dismiss);
+}
@@ -1,3 +1,8 @@
+import ExternalServices from "./ExternalServices.mjs";
+import ProductSearch from "./ProductSearch.mjs";
+import CartBadge from "./CartBadge.mjs";
+import { initToasts } from "./toasts.mjs";
+
 // wrapper for querySelector...returns matching element
 export function qs(selector, parent = document) {
   return parent.querySelector(selector);
@@ -22,6 +27,149 @@ export function getParam(param) {
   return product;
 }
 
+// whole percent off the suggested retail price, 0 when there is no discount
+export function getDiscountPercent(product) {
+  const retail = product.SuggestedRetailPrice;
+  if (!retail || product.FinalPrice >= retail) {
+    return 0;
+  }
+  return Math.round((1 - product.FinalPrice / retail) * 100);
+}
+
+// SizesAvailable keys are upper case, "ZIPPER" shows as "Zipper"
+export function getDimensionLabel(dimension) {
+  return `${dimension.charAt(0)}${dimension.slice(1).toLowerCase()}`;
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// markup that is already safe, html`` puts it in as it is
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  toString() {
+    return this.value;
+  }
+}
+
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(toHtml).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+// Tagged template for building markup. Every value is escaped unless it came
+// from another html`` template (or an array of them) or from sanitizeHtml,
+// so product and customer data can't add tags or attributes:
+//   html`<h2>${product.Name}</h2><ul>${items.map(itemTemplate)}</ul>`
+// null, undefined and false render as nothing.
+export function html(strings, ...values) {
+  return new SafeHtml(
+    strings.reduce(
+      (result, string, index) =>
+        result + string + (index < values.length ? toHtml(values[index]) : ""),
+      ""
+    )
+  );
+}
+
+// the only tags and attributes allowed through sanitizeHtml
+const allowedTags = {
+  A: ["href", "title"],
+  B: [],
+  BR: [],
+  EM: [],
+  I: [],
+  LI: [],
+  OL: [],
+  P: [],
+  SPAN: [],
+  STRONG: [],
+  UL: [],
+};
+// dropped with everything inside them instead of unwrapped
+const droppedTags = [
+  "SCRIPT",
+  "STYLE",
+  "IFRAME",
+  "OBJECT",
+  "EMBED",
+  "TEMPLATE",
+];
+
+function isSafeUrl(url) {
+  return /^(https?:|mailto:|\/|#)/i.test(url.trim());
+}
+
+function cleanNode(node) {
+  [...node.childNodes].forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+    if (
+      child.nodeType !== Node.ELEMENT_NODE ||
+      droppedTags.includes(child.tagName)
+    ) {
+      child.remove();
+      return;
+    }
+    cleanNode(child);
+    const allowed = allowedTags[child.tagName];
+    if (!allowed) {
+      // keep the text of tags we don't allow
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+    [...child.attributes].forEach((attribute) => {
+      if (
+        !allowed.includes(attribute.name) ||
+        (attribute.name === "href" && !isSafeUrl(attribute.value))
+      ) {
+        child.removeAttribute(attribute.name);
+      }
+    });
+    if (child.tagName === "A") {
+      child.setAttribute("rel", "noopener noreferrer");
+    }
+  });
+}
+
+// for HTML that comes from the catalog, like DescriptionHtmlSimple. Keeps
+// simple formatting and links and strips everything else.
+export function sanitizeHtml(markup) {
+  const template = document.createElement("template");
+  template.innerHTML = markup || "";
+  cleanNode(template.content);
+  return new SafeHtml(template.innerHTML);
+}
+
+// the API sends each product image in four widths
+const imageWidths = {
+  PrimarySmall: 80,
+  PrimaryMedium: 160,
+  PrimaryLarge: 320,
+  PrimaryExtraLarge: 600,
+};
+
+// srcset for a product's Images so the browser can pick the size it needs.
+// Empty when every size is the same file, like the local tent data.
+export function getImageSrcset(images) {
+  const sources = Object.entries(imageWidths)
+    .filter(([size]) => images[size])
+    .map(([size, width]) => ({ src: images[size], width }));
+  if (new Set(sources.map((source) => source.src)).size < 2) {
+    return "";
+  }
+  return sources.map(({ src, width }) => `${src} ${width}w`).join(", ");
+}
+
 // function to take a list of objects and a template and insert the objects as HTML into the DOM
 export function renderListWithTemplate(
   templateFn,
@@ -53,14 +201,29 @@ async function loadTemplate(path) {
   return template;
 }
 
+// hook up the search box and cart count once the header is on the page
+function initHeader(headerElement) {
+  const searchForm = headerElement.querySelector(".search");
+  if (searchForm) {
+    const search = new ProductSearch(searchForm, new ExternalServices());
+    search.init();
+  }
+  const cartElement = headerElement.querySelector(".cart");
+  if (cartElement) {
+    const badge = new CartBadge(cartElement);
+    badge.init();
+  }
+}
+
 // function to dynamically load the header and footer into a page
 export async function loadHeaderFooter() {
+  initToasts();
   const headerTemplate = await loadTemplate("../partials/header.html");
   const headerElement = document.querySelector("#main-header");
   const footerTemplate = await loadTemplate("../partials/footer.html");
   const footerElement = document.querySelector("#main-footer");
 
-  renderWithTemplate(headerTemplate, headerElement);
+  renderWithTemplate(headerTemplate, headerElement, headerElement, initHeader);
   renderWithTemplate(footerTemplate, footerElement);
 }
 
@@ -72,29 +235,3 @@ export function setClick(selector, callback) {
   });
   qs(selector).addEventListener("click", callback);
 }
-export function alertMessage(message, scroll = true, duration = 3000) {
-  const alert = document.createElement("div");
-  alert.classList.add("alert");
-  alert.innerHTML = `<p>${message}</p><span>X</span>`;
-
-  alert.addEventListener("click", function (e) {
-    if (e.target.tagName == "SPAN") {
-      main.removeChild(this);
-    }
-  });
-  const main = document.querySelector("main");
-  main.prepend(alert);
-  // make sure they see the alert by scrolling to the top of the window
-  //we may not always want to do this...so default to scroll=true, but allow it to be passed in and overridden.
-  if (scroll) window.scrollTo(0, 0);
-
-  // left this here to show how you could remove the alert automatically after a certain amount of time.
-  // setTimeout(function () {
-  //   main.removeChild(alert);
-  // }, duration);
-}
-
-export function removeAllAlerts() {
-  const alerts = document.querySelectorAll(".alert");
-  alerts.forEach((alert) => document.querySelector("main").removeChild(alert));
-}
\ No newline at end of file
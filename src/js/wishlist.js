@@ -0,0 +1,8 @@
+import { loadHeaderFooter } from "./utils.mjs";
+import ExternalServices from "./ExternalServices.mjs";
+import Wishlist from "./Wishlist.mjs";
+
+loadHeaderFooter();
+
+const wishlist = new Wishlist(".wishlist-list", new ExternalServices());
+wishlist.init();
@@ -0,0 +1,59 @@
+import {
+  getCartItems,
+  setCartItems,
+  loadCartItems,
+  getLineId,
+  addCartItem,
+  removeCartItem,
+} from "./cartStorage.mjs";
+
+// the wishlist is stored just like the cart, one line per product variant,
+// so lines keep their color, size and quantity when they move between them
+const wishlistKey = "so-wishlist";
+
+export function getWishlistItems() {
+  return getCartItems(wishlistKey);
+}
+
+// the current product data for the wishlist, see loadCartItems
+export function loadWishlistItems(dataSource) {
+  return loadCartItems(dataSource, wishlistKey);
+}
+
+// returns false when that variant was already on the wishlist
+export function addWishlistItem(product) {
+  const items = getWishlistItems();
+  if (items.some((item) => getLineId(item) === getLineId(product))) {
+    return false;
+  }
+  items.push({ ...product, quantity: product.quantity || 1 });
+  setCartItems(items, wishlistKey);
+  return true;
+}
+
+export function removeWishlistItem(lineId) {
+  return removeCartItem(lineId, wishlistKey);
+}
+
+export function moveWishlistItemToCart(lineId) {
+  const item = getWishlistItems().find((line) => getLineId(line) === lineId);
+  if (item) {
+    addCartItem(item, item.quantity);
+    removeWishlistItem(lineId);
+  }
+  return item;
+}
+
+// "save for later" on the cart page
+export function moveCartItemToWishlist(lineId, cartKey = "so-cart") {
+  const item = getCartItems(cartKey).find((line) => getLineId(line) === lineId);
+  if (item) {
+    const items = getWishlistItems().filter(
+      (line) => getLineId(line) !== lineId
+    );
+    items.push(item);
+    setCartItems(items, wishlistKey);
+    removeCartItem(lineId, cartKey);
+  }
+  return item;
+}
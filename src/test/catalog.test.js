@@ -0,0 +1,54 @@
+/* eslint-env jest */
+import { getLocalCategory, findLocalProduct } from "../js/catalog.mjs";
+
+const tents = [
+  { Id: "880RR", Name: "Ajax Tent", Image: "../images/tents/ajax.jpg" },
+];
+
+// what the vite dev server sends back: json for the files that exist and
+// index.html with a 200 for everything else
+function fakeFetch(url) {
+  if (url === "/json/tents.json") {
+    return Promise.resolve(
+      new Response(JSON.stringify(tents), {
+        headers: { "Content-Type": "application/json" },
+      })
+    );
+  }
+  return Promise.resolve(
+    new Response("<!doctype html><html></html>", {
+      headers: { "Content-Type": "text/html" },
+    })
+  );
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn(fakeFetch);
+});
+
+describe("getLocalCategory", () => {
+  test("a category with no local file is empty", async () => {
+    await expect(getLocalCategory("hammocks")).resolves.toEqual({
+      Result: [],
+    });
+  });
+
+  test("products from a bare array get the Images the API sends", async () => {
+    const { Result } = await getLocalCategory("tents");
+    expect(Result[0].Images.PrimaryLarge).toBe("/images/tents/ajax.jpg");
+  });
+});
+
+describe("findLocalProduct", () => {
+  test("finds a product while another category has no file", async () => {
+    const { Result } = await findLocalProduct("880rr");
+    expect(Result.Id).toBe("880RR");
+  });
+
+  test("an unknown id is a 404 servicesError", async () => {
+    await expect(findLocalProduct("nope")).rejects.toMatchObject({
+      name: "servicesError",
+      status: 404,
+    });
+  });
+});
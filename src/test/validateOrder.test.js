@@ -0,0 +1,83 @@
+/* eslint-env jest */
+import validateOrder from "../../server/validateOrder.mjs";
+
+const catalog = new Map([
+  [
+    "880RR",
+    {
+      Id: "880RR",
+      Name: "Marmot Ajax Tent",
+      FinalPrice: 199.99,
+      Brand: { Name: "Marmot" },
+    },
+  ],
+]);
+
+// one tent with 6% tax and $10 shipping, as the checkout page sends it
+function goodOrder() {
+  return {
+    fname: "Ada",
+    lname: "Lovelace",
+    street: "1 Main St",
+    city: "Rexburg",
+    state: "ID",
+    zip: "83440",
+    cardNumber: "1234 1234 1234 1234",
+    expiration: "12/99",
+    code: "123",
+    items: [{ id: "880RR", name: "Ajax Tent", price: 199.99, quantity: 1 }],
+    tax: 12,
+    shipping: 10,
+    orderTotal: 221.99,
+  };
+}
+
+describe("validateOrder", () => {
+  test("a good order has no errors", () => {
+    expect(validateOrder(goodOrder(), catalog)).toEqual({});
+  });
+
+  test("a good order with a coupon has no errors", () => {
+    const order = {
+      ...goodOrder(),
+      couponCode: "WELCOME10",
+      discount: 20,
+      orderTotal: 201.99,
+    };
+    expect(validateOrder(order, catalog)).toEqual({});
+  });
+
+  test("amounts that are not numbers are rejected", () => {
+    const order = { ...goodOrder(), tax: "free", orderTotal: "abc" };
+    expect(validateOrder(order, catalog)).toEqual({
+      tax: "Tax must be a number",
+      orderTotal: "Order total must be a number",
+    });
+  });
+
+  test("an item that is not an object is rejected", () => {
+    const order = { ...goodOrder(), items: [null] };
+    expect(validateOrder(order, catalog)).toEqual({
+      items: "Every item in the order must be an object",
+    });
+  });
+
+  test("a discount that doesn't match the coupon is rejected", () => {
+    const order = {
+      ...goodOrder(),
+      couponCode: "WELCOME10",
+      discount: 50,
+      orderTotal: 171.99,
+    };
+    expect(validateOrder(order, catalog)).toMatchObject({
+      discount: "Discount does not match the coupon on the order",
+    });
+  });
+
+  test("an expired card is rejected", () => {
+    const order = { ...goodOrder(), expiration: "01/20" };
+    expect(validateOrder(order, catalog)).toEqual({
+      expiration: "Card is expired",
+    });
+  });
+});
@@ -11,7 +11,13 @@ export default defineConfig({
         main: resolve(__dirname, "src/index.html"),
         cart: resolve(__dirname, "src/cart/index.html"),
         checkout: resolve(__dirname, "src/checkout/index.html"),
+        success: resolve(__dirname, "src/checkout/success.html"),
+        orders: resolve(__dirname, "src/orders/index.html"),
         product: resolve(__dirname, "src/product_pages/index.html"),
+        compare: resolve(__dirname, "src/product_compare/index.html"),
+        listing: resolve(__dirname, "src/product_listing/index.html"),
+        search: resolve(__dirname, "src/search/index.html"),
+        wishlist: resolve(__dirname, "src/wishlist/index.html"),
       },
     },
   },